@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the ElevenLabs speech API, so voice mode can be developed and tested
+ * offline. Same HTTP contract as the parts of ElevenLabs the app uses:
+ *   POST /v1/speech-to-text              multipart (file, model_id) → { text, language_code, language_probability }
+ *   POST /v1/text-to-speech/:voiceId     JSON { text, model_id, language_code? } → audio/wav
+ * Transcripts are scripted: the lines of SPEECH_SCRIPT (one per upload, in a loop; "[es] piedra"
+ * sets the language), default rock / paper / scissors. An upload whose bytes are the text
+ * "transcript: <words>" is transcribed as <words>, so a test can pick the move.
+ * TTS returns a WAV tone whose length follows the text, or silence (SPEECH_TTS_MODE=silence).
+ * Errors use the ElevenLabs shape: { detail: { status, message } }.
+ * Run: npm run speech:local (port SPEECH_LOCAL_PORT, default 3002), then STT_PROVIDER=local TTS_PROVIDER=local.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const fs = require('fs');
+
+const PORT = Number(process.env.SPEECH_LOCAL_PORT) || 3002;
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const DEFAULT_SCRIPT = ['rock', 'paper', 'scissors'];
+const SAMPLE_RATE = 16000;
+const TONE_HZ = 440;
+const INLINE_TRANSCRIPT = /^transcript:\s*/i;
+
+/** "[es] piedra" → { text: 'piedra', languageCode: 'es' }; no tag → English. */
+function parseScriptLine(line) {
+  const m = line.match(/^\[([a-z]{2,3})\]\s*(.*)$/i);
+  return m ? { text: m[2], languageCode: m[1].toLowerCase() } : { text: line, languageCode: 'en' };
+}
+
+/** Scripted transcripts from a file (one per line, # comments skipped), or the default loop. */
+function loadScript(file) {
+  if (!file) return DEFAULT_SCRIPT.map(parseScriptLine);
+  const lines = fs.readFileSync(file, 'utf8').split('\n').map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+  if (!lines.length) throw new Error(`Speech script ${file} has no transcripts.`);
+  return lines.map(parseScriptLine);
+}
+
+/** Parts of a multipart/form-data body: { name → { data: Buffer, filename, contentType } }. */
+function parseMultipart(body, boundary) {
+  const parts = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // skip CRLF after the delimiter and before the next
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const name = (headers.match(/name="([^"]*)"/) || [])[1];
+      if (name) {
+        parts[name] = {
+          data: part.subarray(headerEnd + 4),
+          filename: (headers.match(/filename="([^"]*)"/) || [])[1] || null,
+          contentType: (headers.match(/content-type:\s*([^\r\n]+)/i) || [])[1] || null,
+        };
+      }
+    }
+    start = next;
+  }
+  return parts;
+}
+
+/**
+ * 16-bit mono PCM WAV: a sine tone (with short fades) or silence.
+ * @param {number} seconds
+ * @param {boolean} silent
+ */
+function createWav(seconds, silent) {
+  const samples = Math.round(seconds * SAMPLE_RATE);
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32); // block align
+  buffer.writeUInt16LE(16, 34); // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  if (!silent) {
+    const fade = Math.min(samples / 2, SAMPLE_RATE * 0.02);
+    for (let i = 0; i < samples; i += 1) {
+      const envelope = Math.min(1, i / fade, (samples - i) / fade);
+      const value = Math.sin((2 * Math.PI * TONE_HZ * i) / SAMPLE_RATE) * 0.2 * envelope;
+      buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+    }
+  }
+  return buffer;
+}
+
+/** Roughly speaking time: 0.3 s plus 0.25 s a word, at most 8 s. */
+function speechSeconds(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.min(8, 0.3 + 0.25 * words);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { detail: { status, message } });
+}
+
+/**
+ * @param {object} [options] - { script: [{ text, languageCode }], silent }
+ *   (default: SPEECH_SCRIPT file and SPEECH_TTS_MODE env)
+ * @returns {http.Server} not yet listening
+ */
+function createSpeechStubServer(options = {}) {
+  const script = options.script || loadScript(process.env.SPEECH_SCRIPT);
+  const silent = options.silent ?? process.env.SPEECH_TTS_MODE === 'silence';
+  let next = 0;
+
+  async function handleTranscribe(req, res) {
+    const boundary = ((req.headers['content-type'] || '').match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+    if (!boundary) return sendError(res, 400, 'Expected multipart/form-data with a file.');
+    const { file } = parseMultipart(await readBody(req), boundary);
+    if (!file) return sendError(res, 400, 'Missing "file" part.');
+
+    const asText = file.data.subarray(0, 500).toString('utf8');
+    let entry;
+    if (INLINE_TRANSCRIPT.test(asText)) {
+      entry = parseScriptLine(asText.replace(INLINE_TRANSCRIPT, '').trim());
+    } else if (file.data.length === 0) {
+      entry = { text: '', languageCode: 'en' };
+    } else {
+      entry = script[next % script.length];
+      next += 1;
+    }
+    return sendJson(res, 200, { text: entry.text, language_code: entry.languageCode, language_probability: 1 });
+  }
+
+  async function handleSpeak(req, res) {
+    let body;
+    try {
+      body = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    } catch (e) {
+      return sendError(res, 400, 'Body is not valid JSON.');
+    }
+    if (typeof body.text !== 'string') return sendError(res, 400, 'Missing "text".');
+    const wav = createWav(speechSeconds(body.text), silent);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'audio/wav');
+    res.setHeader('Content-Length', wav.length);
+    return res.end(wav);
+  }
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'POST' && pathname === '/v1/speech-to-text') return await handleTranscribe(req, res);
+      if (req.method === 'POST' && /^\/v1\/text-to-speech\/[^/]+$/.test(pathname)) return await handleSpeak(req, res);
+      return sendError(res, 404, `No route ${req.method} ${pathname}.`);
+    } catch (err) {
+      if (res.headersSent) return res.end();
+      return sendError(res, err.status || 500, err.message);
+    }
+  });
+}
+
+if (require.main === module) {
+  createSpeechStubServer().listen(PORT, () => {
+    console.log(`Local speech stand-in: http://127.0.0.1:${PORT}`);
+    console.log('Use it with STT_PROVIDER=local TTS_PROVIDER=local (SPEECH_LOCAL_URL if not on this port).');
+  });
+}
+
+module.exports = {
+  createSpeechStubServer,
+  createWav,
+  parseMultipart,
+};
@@ -1,7 +1,39 @@
 #!/usr/bin/env node
 /**
- * Optional voice mode: user speaks → ElevenLabs STT → Judge (Claude) → ElevenLabs TTS.
- * Serves one page; POST /api/voice accepts base64 audio, returns transcribed text + Judge response + TTS audio.
+ * Optional voice mode: user speaks → STT → Judge (Claude) → TTS. Speech goes through the
+ * speech providers (ElevenLabs, or the offline stand-in server-speech-local.js with STT_PROVIDER /
+ * TTS_PROVIDER=local).
+ * Serves one page and a small JSON API:
+ *   POST /api/voice     base64 audio → transcribed text + Judge response + TTS audio
+ *   POST /api/move      free-text move → same payload as /api/voice, minus the audio
+ *   Both stream their progress as Server-Sent Events when the request sends Accept: text/event-stream.
+ *   GET  /api/state     current round, scores, each player's inventory (limited moves, power-ups), game-over result
+ *   POST /api/new-game  start over (optional ruleSet, strategy, botBomb, seed, format, rounds, suddenDeath, locale, template, clarify, inventory)
+ *   With clarify (or CLARIFY_MAX) > 0 an unclear move gets a clarifying question (payload.clarification);
+ *   the next /api/voice or /api/move is the answer, judged in the same round against the same bot move.
+ *   /api/voice and /api/move also take an optional locale (en, es, hi, fr or auto) for that move, and
+ *   speak (true / false) for the response as TTS audio: on by default for /api/voice, off for /api/move.
+ *   Both routes play the same session's game, so a player can switch between speaking and typing.
+ *   GET  /api/cache     Judge cache hit/miss counters (JUDGE_CACHE)
+ *   GET  /metrics       Prometheus metrics: Judge / STT / TTS calls, latency, retries, tokens, verdicts (telemetry.js)
+ *   POST /api/rejudge   roll back the last judged message and judge it again (same bot move, no cache)
+ *   POST /api/resume    { matchId } load a saved game (snapshots.js) into this session, e.g. after a restart
+ *   GET  /api/rounds    the session's match so far, round by round (the page's timeline)
+ *   GET  /api/rounds/:index/audio  the Judge's response for one timeline entry as TTS audio again
+ *   GET  /api/matches/:id  a finished match's timeline and result, for the shareable summary (/?match=<id>)
+ * Two-player rooms (human vs human, pushed over Server-Sent Events), see /duel:
+ *   POST /api/rooms                 open a room (optional name, ruleSet, format, rounds, suddenDeath) → { roomId, token, slot }
+ *   POST /api/rooms/:id/join        take the second seat → { roomId, token, slot }
+ *   GET  /api/rooms/:id/events      SSE stream (?token=) of joins, submitted moves and round results
+ *   POST /api/rooms/:id/move        { token, text } or { token, audioBase64, mimeType }
+ *   POST /api/rooms/:id/new-game    { token } start a fresh match in the same room
+ * Errors are always JSON: { error, status } with the matching HTTP status code.
+ * Limits: request bodies over VOICE_MAX_BODY_KB (VOICE_MAX_AUDIO_KB for audio routes) get 413; each
+ * client IP gets RATE_LIMIT_PER_MIN API requests and RATE_LIMIT_ROUNDS_PER_MIN judged rounds a minute, then 429.
+ * Every response carries X-Request-Id (the client's, if it sent a valid one); Judge / STT / TTS calls
+ * made for the request are logged with it.
+ * Each browser gets its own game: the first API call issues a session cookie (page loads do not) and every
+ * API route uses that session.
  */
 
 require('dotenv').config();
@@ -9,146 +41,892 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 
-const { createState, applyRoundResult, isGameOver, getFinalResult, TOTAL_ROUNDS } = require('./src/assignment/state.js');
-const { judgeRound } = require('./src/assignment/ai-judge.js');
-const { normalizeMoveInput } = require('./src/assignment/normalize-input.js');
-const { transcribe, speak } = require('./src/assignment/elevenlabs.js');
+const { createState, applyRoundResult, startClarification, isGameOver, getFinalResult } = require('./src/assignment/state.js');
+const { resolveFormat } = require('./src/assignment/match-format.js');
+const { judgeRound, resolveMaxClarifications } = require('./src/assignment/ai-judge.js');
+const { resolveEnsemble, describeEnsemble } = require('./src/assignment/ensemble.js');
+const { getDefaultCache } = require('./src/assignment/judge-cache.js');
+const { normalizeMoveInput, analyzeMoveInput } = require('./src/assignment/normalize-input.js');
+const { DEFAULT_VOICE_ID } = require('./src/assignment/elevenlabs.js');
+const { resolveSpeechProvider, transcribeAudio, synthesizeSpeech } = require('./src/assignment/speech-providers.js');
+const { AUTO, DEFAULT_LOCALE, resolveLocale, localeForMessage, voiceFor } = require('./src/assignment/locales.js');
+const { resolveTemplate, templateId, assignTemplate } = require('./src/assignment/prompt-templates.js');
+const { getRuleSet } = require('./src/assignment/rule-sets.js');
+const { chooseBotMove, chooseBotPowerUp, resolveStrategy, resolveSeed } = require('./src/assignment/bot-strategies.js');
+const { resolveInventory, ruleSetOf, chargesLeft, describeInventory } = require('./src/assignment/power-ups.js');
+const { createMatchId, recordMatchStart, recordRound, recordUndo, recordMatchEnd, getMatch } = require('./src/assignment/history.js');
+const { saveSnapshot, loadSnapshot, deleteSnapshot } = require('./src/assignment/snapshots.js');
+const { createRoomStore, roomView } = require('./src/assignment/rooms.js');
+const { judgeDuelRound, applyDuelResult, isDuelOver, getDuelWinner, createDuelState } = require('./src/assignment/duel.js');
+const { createSessionStore, parseCookies, sessionCookie, COOKIE_NAME, DEFAULT_TTL_MS } = require('./src/assignment/sessions.js');
+const { newRequestId, withRequestId, renderMetrics, incCounter, setDefaultLogTarget } = require('./src/assignment/telemetry.js');
+const { createRateLimiter, clientKey } = require('./src/assignment/rate-limit.js');
 
 const PORT = Number(process.env.VOICE_PORT) || 3001;
-const BOT_CHOICES = ['rock', 'paper', 'scissors'];
+const SESSION_TTL_MS = Number(process.env.VOICE_SESSION_TTL_MIN) * 60 * 1000 || DEFAULT_TTL_MS;
+const MAX_MOVE_LENGTH = 500;
+const MAX_BODY_BYTES = (Number(process.env.VOICE_MAX_BODY_KB) || 16) * 1024;
+const MAX_AUDIO_BODY_BYTES = (Number(process.env.VOICE_MAX_AUDIO_KB) || 5 * 1024) * 1024;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+const envLimit = (name, fallback) => (process.env[name] === undefined ? fallback : Number(process.env[name]) || 0);
+const rateLimits = {
+  api: createRateLimiter({ limit: envLimit('RATE_LIMIT_PER_MIN', 120) }),
+  rounds: createRateLimiter({ limit: envLimit('RATE_LIMIT_ROUNDS_PER_MIN', 20) }),
+};
+setDefaultLogTarget('file'); // a long-running server keeps a call log; TELEMETRY_LOG overrides
 
-let state = createState();
+let ensemble;
+try {
+  ensemble = resolveEnsemble();
+  resolveInventory(); // a bad INVENTORY fails here, not on the first session
+  resolveMaxClarifications(); // likewise CLARIFY_MAX, not on the first round
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const sessions = createSessionStore({ createState: () => createState(), ttlMs: SESSION_TTL_MS });
+const rooms = createRoomStore();
+const SSE_HEARTBEAT_MS = 25_000;
+
+/** Error carrying the HTTP status to answer with. */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message, status });
+}
+
+/** Charges left per side; the bot's only when it may spend them (botBomb). */
+function inventoryPayload(session) {
+  return describeInventory(session.state, { bot: (session.bot || botSettings()).useLimited });
+}
+
+/** Bot settings for a session: request parameters override BOT_STRATEGY / BOT_USE_LIMITED / BOT_SEED. */
+function botSettings(params = {}) {
+  return {
+    strategy: resolveStrategy(params.strategy),
+    useLimited: params.botBomb ?? process.env.BOT_USE_LIMITED === 'true',
+    seed: resolveSeed(params.seed),
+  };
+}
 
-function randomBotMove() {
-  return BOT_CHOICES[Math.floor(Math.random() * BOT_CHOICES.length)];
+/** Match format from request parameters; fields left out keep `current` (else MATCH_* env / defaults). */
+function formatSettings(params = {}, current = {}) {
+  return resolveFormat({
+    type: params.format ?? current.type,
+    rounds: params.rounds ?? current.rounds,
+    suddenDeath: params.suddenDeath ?? current.suddenDeath,
+  });
 }
 
-function parseJsonBody(req) {
+/** Locale setting for a request: body.locale, else the session's (new-game), else LOCALE env / en. */
+function localeSetting(params = {}, current) {
+  try {
+    return resolveLocale(params.locale || current);
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+}
+
+/** Caller's session from the cookie; a new one (with Set-Cookie) if missing or expired. */
+function getSession(req, res) {
+  const { session, created } = sessions.getOrCreate(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  if (created) res.setHeader('Set-Cookie', sessionCookie(session.id, sessions.ttlMs));
+  return session;
+}
+
+/**
+ * Parse a JSON object body of at most `maxBytes` (413 beyond that: a declared Content-Length is
+ * refused up front, a longer stream is cut off and the rest discarded unbuffered).
+ */
+function parseJsonBody(req, maxBytes = MAX_BODY_BYTES) {
   return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body is larger than ${Math.round(maxBytes / 1024)} KB.`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
     let body = '';
-    req.on('data', (chunk) => { body += chunk; });
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners('data');
+        req.removeAllListeners('end');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      body += chunk;
+    });
     req.on('end', () => {
       try {
-        resolve(body ? JSON.parse(body) : {});
+        const parsed = body ? JSON.parse(body) : {};
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          reject(httpError(400, 'Request body must be a JSON object.'));
+          return;
+        }
+        resolve(parsed);
       } catch (e) {
-        reject(e);
+        reject(httpError(400, 'Request body is not valid JSON.'));
       }
     });
+    req.on('error', reject);
   });
 }
 
-async function handleVoice(req, res) {
-  res.setHeader('Content-Type', 'application/json');
-  const apiKey = process.env.ELEVENLABS_API_KEY;
-  if (!apiKey) {
-    res.statusCode = 500;
-    res.end(JSON.stringify({ error: 'ELEVENLABS_API_KEY is not set.' }));
-    return;
+/** Limited-use moves left per side, e.g. { user: { bomb: 1 }, bot: { bomb: 0 } }. */
+function limitedMovesLeft(state) {
+  const left = { user: {}, bot: {} };
+  for (const move of Object.keys(ruleSetOf(state).limited)) {
+    left.user[move] = chargesLeft(state, move, 'user');
+    left.bot[move] = chargesLeft(state, move, 'bot');
   }
+  return left;
+}
 
-  try {
-    const body = await parseJsonBody(req);
-    const audioBase64 = body.audioBase64 || body.audio;
-    const mimeType = body.mimeType || 'audio/webm';
+/** Round / score / game-over fields shared by every game payload. */
+function scorePayload(state) {
+  const over = isGameOver(state);
+  return {
+    round: over ? state.round - 1 : state.round,
+    format: state.format,
+    userScore: state.userScore,
+    botScore: state.botScore,
+    gameOver: over,
+    finalResult: over ? getFinalResult(state) : null,
+  };
+}
 
-    if (!audioBase64) {
-      res.statusCode = 400;
-      res.end(JSON.stringify({ error: 'Missing audioBase64 in body.' }));
-      return;
-    }
+/** The pending clarifying question for the payloads, or null. */
+function clarificationPayload(session) {
+  const pending = session.state.clarification;
+  if (!pending) return null;
+  return { question: pending.question, candidates: pending.candidates, asked: pending.asked, max: resolveMaxClarifications(session.clarify) };
+}
 
-    if (isGameOver(state)) {
-      res.statusCode = 200;
-      res.end(JSON.stringify({
-        gameOver: true,
-        finalResult: getFinalResult(state),
-        userScore: state.userScore,
-        botScore: state.botScore,
-        message: 'Game over. Start a new game to play again.',
-      }));
-      return;
-    }
+function gameOverPayload(state) {
+  return {
+    ...scorePayload(state),
+    message: 'Game over. Start a new game to play again.',
+  };
+}
 
-    const audioBuffer = Buffer.from(audioBase64, 'base64');
-    const { text: transcribedText } = await transcribe(audioBuffer, apiKey, mimeType);
-    const normalizedInput = normalizeMoveInput(transcribedText || '');
-    const botMove = randomBotMove();
-    const result = await judgeRound(state, normalizedInput, botMove);
+/**
+ * One timeline entry for the page, from a history round event (or the same fields for a round
+ * just judged). Entries with a clarifying question keep the bot move hidden, like the payloads.
+ */
+function timelineEntry(round) {
+  const intent = round.intent || {};
+  return {
+    round: round.round,
+    source: round.source || null,
+    heard: round.userInput,
+    normalizedInput: round.normalizedInput || round.userInput,
+    locale: round.locale || null,
+    status: intent.status || null,
+    move: intent.move || null,
+    reason: intent.reason || '',
+    botMove: round.clarification ? null : round.botMove,
+    winner: round.clarification ? null : round.round_winner,
+    powerUps: round.clarification ? null : round.powerUps || null,
+    question: round.clarification ? round.clarification.question : null,
+    response: round.response,
+    rejudged: Boolean(round.rejudged),
+    userScore: round.userScore,
+    botScore: round.botScore,
+  };
+}
 
-    state = applyRoundResult(state, result);
+/** Save the session's game (snapshots.js) so it can be resumed after a restart; removed once the match is over. */
+function saveSessionSnapshot(session, source) {
+  if (isGameOver(session.state)) return deleteSnapshot(session.matchId);
+  return saveSnapshot({
+    matchId: session.matchId,
+    source,
+    settings: {
+      bot: session.bot || botSettings(),
+      locale: session.locale || null,
+      template: session.template || null,
+      promptTemplate: session.promptTemplate,
+      clarify: session.clarify ?? null,
+    },
+    state: session.state,
+    last: session.last,
+  });
+}
 
-    let responseAudioBase64 = null;
-    try {
-      const audio = await speak(result.response, apiKey);
-      if (audio && audio.length > 0) responseAudioBase64 = audio.toString('base64');
-    } catch (ttsErr) {
-      console.error('TTS failed:', ttsErr.message);
-    }
+/**
+ * Judge one round for the session and record it in the match history.
+ * Caller must hold session.busy.
+ * @param {Function} [send] - Event stream of the request: the verdict and response chunks are pushed as they arrive
+ * @param {object} [options] - { locale, sttLanguage, botMove, botPowerUp, rejudged }: the locale setting ("auto" detects
+ *   it from the move, preferring the language speech-to-text reported); a rejudge passes the original bot move and power-up
+ * @returns {Promise<{ result, payload }>} payload = the JSON fields shared by /api/voice and /api/move
+ */
+async function playRound(session, userInput, source, send, options = {}) {
+  const ruleSet = getRuleSet(session.state.ruleSet);
+  const localeChoice = options.locale || localeSetting({}, session.locale);
+  const locale = localeForMessage(localeChoice, userInput, options.sttLanguage);
+  // with auto, move words of every locale count (players mix languages)
+  const { input: normalizedInput, match } = analyzeMoveInput(userInput, ruleSet, localeChoice === AUTO ? AUTO : locale);
+  const bot = session.bot || botSettings();
+  const pending = session.state.clarification;
+  // The bot's move and power-up are held fixed while clarifying.
+  const botMove = options.botMove || (pending ? pending.botMove : chooseBotMove(session.state, bot));
+  const botPowerUp = options.botMove ? options.botPowerUp || null : pending ? pending.botPowerUp || null : chooseBotPowerUp(session.state, bot);
+  const clarify = resolveMaxClarifications(session.clarify);
+  const streaming = send ? {
+    onVerdict: (verdict) => send('verdict', {
+      intent: verdict.intent,
+      roundWinner: verdict.round_winner,
+      botMove: clarify && verdict.intent.status === 'UNCLEAR' ? null : botMove, // hidden if the Judge may still ask
+    }),
+    onResponseChunk: (text) => send('response', { text }),
+  } : {};
+  if (!session.matchId) {
+    // The prompt template is fixed per game: the new-game choice, else the game's PROMPT_AB arm.
+    session.matchId = createMatchId();
+    session.promptTemplate = assignTemplate(session.matchId, { template: session.template });
+    await recordMatchStart(session.matchId, {
+      source,
+      ruleSet: ruleSet.id,
+      bot,
+      format: session.state.format,
+      locale: session.locale || null,
+      promptTemplate: session.promptTemplate,
+      inventory: session.state.inventory || null,
+    });
+  }
+  const result = await judgeRound(session.state, normalizedInput, botMove, {
+    ...streaming,
+    locale,
+    hint: match,
+    template: session.promptTemplate,
+    clarify,
+    botPowerUp,
+    cache: options.rejudged ? false : undefined, // a rejudge must not get the cached verdict back
+  });
+
+  const before = session.state;
+  session.last = { before, userInput, botMove, botPowerUp, locale: options.locale || null };
+  session.state = result.clarification
+    ? startClarification(session.state, result, userInput, botMove, botPowerUp)
+    : applyRoundResult(session.state, result, botMove);
+  const entry = {
+    round: before.round,
+    source,
+    userInput,
+    normalizedInput,
+    match,
+    locale,
+    botMove,
+    result,
+    clarification: session.state.clarification,
+    ...(options.rejudged ? { rejudged: true } : {}),
+    userScore: session.state.userScore,
+    botScore: session.state.botScore,
+  };
+  await recordRound(session.matchId, entry);
+  session.rounds = [...(session.rounds || []), timelineEntry({ ...entry, intent: result.intent, round_winner: result.round_winner, powerUps: result.powerUps, response: result.response })];
+  if (isGameOver(session.state)) {
+    await recordMatchEnd(session.matchId, {
+      userScore: session.state.userScore,
+      botScore: session.state.botScore,
+      finalResult: getFinalResult(session.state),
+    });
+  }
+  await saveSessionSnapshot(session, source);
 
-    res.statusCode = 200;
-    res.end(JSON.stringify({
-      transcribedText: transcribedText || '(no speech detected)',
-      normalizedInput: normalizedInput || transcribedText,
+  return {
+    result,
+    payload: {
+      matchId: session.matchId,
+      ruleSet: session.state.ruleSet,
+      normalizedInput: normalizedInput || userInput,
+      match,
+      locale,
       response: result.response,
       intent: result.intent,
+      botMove: result.clarification ? null : botMove,
       roundWinner: result.round_winner,
-      round: isGameOver(state) ? TOTAL_ROUNDS : state.round,
-      userScore: state.userScore,
-      botScore: state.botScore,
-      gameOver: isGameOver(state),
-      finalResult: isGameOver(state) ? getFinalResult(state) : null,
-      audioBase64: responseAudioBase64,
-    }));
+      powerUps: result.powerUps || null,
+      inventory: inventoryPayload(session),
+      clarification: clarificationPayload(session),
+      verification: result.verification || null,
+      ensemble: result.ensemble || null,
+      promptTemplate: result.promptTemplate,
+      timelineIndex: session.rounds.length - 1,
+      ...(options.rejudged ? { rejudged: true } : {}),
+      ...scorePayload(session.state),
+    },
+  };
+}
+
+function wantsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Answer a round request as Server-Sent Events: `run(send)` pushes progress events, then
+ * `done` closes the stream. Failures after the stream is open become an `error` event
+ * ({ error, status }, same shape as the JSON errors).
+ */
+async function streamRound(req, res, run) {
+  const send = openEventStream(req, res);
+  try {
+    await run(send);
+    send('done', {});
   } catch (err) {
-    console.error('Voice handler error:', err);
-    res.statusCode = 500;
-    res.end(JSON.stringify({ error: err.message || 'Server error.' }));
+    if (!err.status) console.error('Request error:', err);
+    send('error', { error: err.status ? err.message : 'Internal server error.', status: err.status || 500 });
+  } finally {
+    res.end();
   }
 }
 
-function handleNewGame(req, res) {
-  if (req.method !== 'POST') {
-    res.statusCode = 405;
-    res.end();
-    return;
+/**
+ * Run `fn` while holding the session's round lock (one round judged at a time per game).
+ */
+async function withRoundLock(session, fn) {
+  if (session.busy) throw httpError(409, 'A round is already being judged for this game.');
+  session.busy = true;
+  try {
+    return await fn();
+  } finally {
+    session.busy = false;
   }
-  state = createState();
-  res.setHeader('Content-Type', 'application/json');
-  res.statusCode = 200;
-  res.end(JSON.stringify({ ok: true, message: 'New game started.' }));
 }
 
-const server = http.createServer(async (req, res) => {
-  const url = req.url || '/';
-  const method = req.method || 'GET';
+/** 503 unless the speech provider for `kind` ('stt' | 'tts') is usable. */
+function requireSpeech(kind, what) {
+  const { error } = resolveSpeechProvider(kind);
+  if (error) throw httpError(503, `${what} unavailable: ${error}`);
+}
+
+async function handleVoice(req, res, session) {
+  requireSpeech('stt', 'Voice mode is');
+
+  const body = await parseJsonBody(req, MAX_AUDIO_BODY_BYTES);
+  const audioBase64 = body.audioBase64 || body.audio;
+  const mimeType = body.mimeType || 'audio/webm';
+  const speak = body.speak !== false; // false = captions only
+  if (!audioBase64 || typeof audioBase64 !== 'string') throw httpError(400, 'Missing audioBase64 in body.');
+  const locale = localeSetting(body, session.locale);
 
-  if (url === '/api/voice' && method === 'POST') {
-    await handleVoice(req, res);
+  if (isGameOver(session.state)) {
+    sendJson(res, 200, gameOverPayload(session.state));
     return;
   }
-  if (url === '/api/new-game' && method === 'POST') {
-    handleNewGame(req, res);
+
+  /** transcribe → judge (→ speak); `send` set when streaming. */
+  async function run(send) {
+    const audioBuffer = Buffer.from(audioBase64, 'base64');
+    const { text, languageCode } = await transcribeAudio(audioBuffer, mimeType);
+    const transcribedText = text || '(no speech detected)';
+    if (send) send('transcription', { transcribedText });
+    const { result, payload } = await playRound(session, text || '', 'voice', send, { locale, sttLanguage: languageCode });
+    if (send) send('result', { transcribedText, ...payload });
+    const speech = speak ? await speakRoundResponse(result.response, payload.locale) : SILENCE;
+    if (send) send('audio', speech);
+    return { transcribedText, ...payload, ...speech };
+  }
+
+  await withRoundLock(session, async () => {
+    if (wantsEventStream(req)) await streamRound(req, res, run);
+    else sendJson(res, 200, await run(null));
+  });
+}
+
+/** The Judge's response as speech in the round's language: { audioBase64, audioMimeType } (null when silent). */
+async function speakResponse(text, locale) {
+  const { audio, mimeType } = await synthesizeSpeech(text, {
+    voiceId: voiceFor(locale) || DEFAULT_VOICE_ID,
+    languageCode: locale === DEFAULT_LOCALE ? null : locale,
+  });
+  if (!audio || audio.length === 0) return SILENCE;
+  return { audioBase64: audio.toString('base64'), audioMimeType: mimeType };
+}
+
+const SILENCE = { audioBase64: null, audioMimeType: null };
+
+/** speakResponse for a round just judged: a TTS failure (or no TTS provider) leaves it silent, not failed. */
+async function speakRoundResponse(text, locale) {
+  if (resolveSpeechProvider('tts').error) return SILENCE;
+  try {
+    return await speakResponse(text, locale);
+  } catch (ttsErr) {
+    console.error('TTS failed:', ttsErr.message);
+    return SILENCE;
+  }
+}
+
+async function handleMove(req, res, session) {
+  const body = await parseJsonBody(req);
+  const text = body.text ?? body.move;
+  if (typeof text !== 'string') throw httpError(400, 'Missing "text" (the move in free text) in body.');
+  if (text.length > MAX_MOVE_LENGTH) throw httpError(400, `Move text is longer than ${MAX_MOVE_LENGTH} characters.`);
+  const locale = localeSetting(body, session.locale);
+  const speak = body.speak === true;
+
+  if (isGameOver(session.state)) {
+    sendJson(res, 200, gameOverPayload(session.state));
     return;
   }
-  if (url === '/' || url === '/index.html') {
-    const file = path.join(__dirname, 'public-voice', 'voice.html');
-    fs.readFile(file, (err, data) => {
-      if (err) {
-        res.statusCode = 404;
-        res.end('Not found');
-        return;
-      }
-      res.setHeader('Content-Type', 'text/html');
-      res.end(data);
+
+  /** judge (→ speak when asked); `send` set when streaming. */
+  async function run(send) {
+    const { result, payload } = await playRound(session, text, 'api', send, { locale });
+    if (send) send('result', { text, ...payload });
+    if (!speak) return { text, ...payload };
+    const speech = await speakRoundResponse(result.response, payload.locale);
+    if (send) send('audio', speech);
+    return { text, ...payload, ...speech };
+  }
+
+  await withRoundLock(session, async () => {
+    if (wantsEventStream(req)) await streamRound(req, res, run);
+    else sendJson(res, 200, await run(null));
+  });
+}
+
+/** Answer a round request with JSON, or as Server-Sent Events when asked for; `play(send)` resolves to the payload. */
+async function answerRound(req, res, play) {
+  if (wantsEventStream(req)) {
+    await streamRound(req, res, async (send) => send('result', await play(send)));
+  } else {
+    sendJson(res, 200, await play(null));
+  }
+}
+
+async function handleRejudge(req, res, session) {
+  await withRoundLock(session, async () => {
+    const { last } = session;
+    if (!last) throw httpError(409, 'Nothing to rejudge: no message has been judged in this game yet.');
+    // Roll back to before the last message and judge it again against the same bot move.
+    await recordUndo(session.matchId, { round: last.before.round, reason: 'rejudge' });
+    session.state = last.before;
+    session.rounds = (session.rounds || []).slice(0, -1);
+    await answerRound(req, res, async (send) => {
+      const { payload } = await playRound(session, last.userInput, 'api', send, { locale: last.locale, botMove: last.botMove, botPowerUp: last.botPowerUp, rejudged: true });
+      return { text: last.userInput, ...payload };
     });
+  });
+}
+
+async function handleResume(req, res, session) {
+  const body = await parseJsonBody(req);
+  if (typeof body.matchId !== 'string' || !body.matchId) throw httpError(400, 'Missing "matchId" in body.');
+  if (session.busy) throw httpError(409, 'A round is already being judged for this game.');
+  // The full id is required: the id is what keeps one player from resuming another's game.
+  const snapshot = await loadSnapshot(body.matchId).catch(() => null);
+  if (!snapshot || snapshot.matchId !== body.matchId) throw httpError(404, `No saved game "${body.matchId}" (finished games are not kept).`);
+  const { settings } = snapshot;
+  const match = await getMatch(snapshot.matchId).catch(() => null);
+  session.rounds = match ? match.rounds.map(timelineEntry) : [];
+  session.state = snapshot.state;
+  session.last = snapshot.last || null;
+  session.matchId = snapshot.matchId;
+  session.bot = settings.bot;
+  session.locale = settings.locale || undefined;
+  session.template = settings.template || undefined;
+  session.promptTemplate = settings.promptTemplate;
+  session.clarify = settings.clarify ?? undefined;
+  sendJson(res, 200, { ok: true, resumed: true, savedAt: snapshot.savedAt, ...statePayload(session) });
+}
+
+function statePayload(session) {
+  return {
+    matchId: session.matchId || null,
+    ruleSet: session.state.ruleSet,
+    moves: getRuleSet(session.state.ruleSet).moves,
+    bot: session.bot || botSettings(),
+    locale: localeSetting({}, session.locale),
+    promptTemplate: session.promptTemplate || null,
+    clarify: resolveMaxClarifications(session.clarify),
+    clarification: clarificationPayload(session),
+    canRejudge: Boolean(session.last),
+    ...scorePayload(session.state),
+    limitedMovesLeft: limitedMovesLeft(session.state),
+    inventory: inventoryPayload(session),
+  };
+}
+
+function handleState(req, res, session) {
+  sendJson(res, 200, statePayload(session));
+}
+
+function handleRounds(req, res, session) {
+  sendJson(res, 200, {
+    matchId: session.matchId || null,
+    rounds: session.rounds || [],
+    ...scorePayload(session.state),
+  });
+}
+
+async function handleRoundAudio(req, res, session, { params }) {
+  requireSpeech('tts', 'Speech is');
+  const entry = (session.rounds || [])[Number(params.index)];
+  if (!entry) throw httpError(404, `No round at timeline index ${params.index} in this game.`);
+  sendJson(res, 200, await speakResponse(entry.response, entry.locale));
+}
+
+/**
+ * A finished match for the shareable summary. Only finished matches are served: the id of a game
+ * in progress is what lets its player resume it.
+ */
+async function handleMatchSummary(req, res, session, { params }) {
+  const match = await getMatch(params.id).catch(() => null);
+  if (!match || match.matchId !== params.id || !match.end) throw httpError(404, `No finished match "${params.id}".`);
+  sendJson(res, 200, {
+    matchId: match.matchId,
+    ruleSet: match.start ? match.start.ruleSet : null,
+    format: match.start ? match.start.format : null,
+    startedAt: match.start ? match.start.at : null,
+    endedAt: match.end.at,
+    userScore: match.end.userScore,
+    botScore: match.end.botScore,
+    finalResult: match.end.finalResult,
+    rounds: match.rounds.map(timelineEntry),
+  });
+}
+
+function handleCacheStats(req, res) {
+  const cache = getDefaultCache();
+  sendJson(res, 200, cache ? { enabled: true, ...cache.stats() } : { enabled: false });
+}
+
+function handleMetrics(req, res) {
+  const extra = [
+    { name: 'rpsb_sessions', type: 'gauge', help: 'Voice sessions in memory.', value: sessions.size() },
+    { name: 'rpsb_rooms', type: 'gauge', help: 'Two-player rooms in memory.', value: rooms.size() },
+  ];
+  const cache = getDefaultCache();
+  if (cache) {
+    const stats = cache.stats();
+    for (const source of ['hits', 'misses', 'coalesced']) {
+      extra.push({ name: `rpsb_judge_cache_${source}_total`, type: 'counter', help: `Judge cache ${source}.`, value: stats[source] });
+    }
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.end(renderMetrics(extra));
+}
+
+async function handleNewGame(req, res, session) {
+  const body = await parseJsonBody(req);
+  // A round being judged would otherwise land on the new game's state.
+  if (session.busy) throw httpError(409, 'A round is already being judged for this game.');
+  let bot;
+  let state;
+  let locale;
+  let template;
+  let clarify;
+  try {
+    bot = botSettings({ ...session.bot, ...body });
+    // Like the format, the inventory carries over to the next game of the same rule set.
+    const sameRuleSet = !body.ruleSet || body.ruleSet === session.state.ruleSet;
+    const inventory = body.inventory ?? (sameRuleSet ? session.state.inventory : undefined);
+    state = createState(body.ruleSet || session.state.ruleSet, formatSettings(body, session.state.format), inventory);
+    locale = resolveLocale(body.locale || session.locale);
+    template = body.template ? templateId(resolveTemplate(body.template)) : session.template;
+    clarify = body.clarify !== undefined ? resolveMaxClarifications(body.clarify) : session.clarify;
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+  session.state = state;
+  session.bot = bot;
+  session.locale = locale;
+  session.template = template;
+  session.clarify = clarify;
+  session.last = null;
+  session.rounds = [];
+  session.matchId = null; // the next round starts a new match in the history
+  session.promptTemplate = null;
+  sendJson(res, 200, { ok: true, ruleSet: session.state.ruleSet, format: session.state.format, inventory: inventoryPayload(session), bot: session.bot, locale: session.locale, message: 'New game started.' });
+}
+
+/**
+ * Turn the response into a Server-Sent Events stream.
+ * @returns {Function} send(event, data)
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': connected\n\n');
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/** Room from the :id param, or 404. */
+function requireRoom(params) {
+  const room = rooms.get(params.id);
+  if (!room) throw httpError(404, `No room "${params.id}" (it may have expired).`);
+  return room;
+}
+
+/** Caller's slot from the token (body, X-Player-Token header or ?token=), or 403. */
+function requirePlayer(room, token) {
+  const slot = rooms.slotForToken(room, token);
+  if (!slot) throw httpError(403, 'Unknown player token for this room.');
+  return slot;
+}
+
+function playerToken(req, query, body = {}) {
+  return body.token || req.headers['x-player-token'] || query.get('token');
+}
+
+async function handleCreateRoom(req, res) {
+  const body = await parseJsonBody(req);
+  let created;
+  try {
+    created = rooms.create({ name: body.name, ruleSet: body.ruleSet, format: formatSettings(body) });
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+  const { room, player } = created;
+  sendJson(res, 201, { roomId: room.id, token: player.token, slot: player.slot, room: roomView(room) });
+}
+
+async function handleJoinRoom(req, res, session, { params }) {
+  const room = requireRoom(params);
+  const body = await parseJsonBody(req);
+  const player = rooms.join(room, body.name);
+  if (!player) throw httpError(409, 'This room already has two players.');
+  rooms.broadcast(room, 'player-joined', { slot: player.slot, name: player.name, room: roomView(room) });
+  sendJson(res, 200, { roomId: room.id, token: player.token, slot: player.slot, room: roomView(room) });
+}
+
+function handleRoomEvents(req, res, session, { params, query }) {
+  const room = requireRoom(params);
+  const slot = requirePlayer(room, playerToken(req, query));
+  const send = openEventStream(req, res);
+  const unsubscribe = rooms.subscribe(room, slot, send);
+  res.on('close', unsubscribe);
+  send('room', { you: slot, room: roomView(room) });
+}
+
+/**
+ * Judge the round once both players have submitted, then push the result to both.
+ */
+async function resolveRoomRound(room) {
+  const { p1, p2 } = room.pending;
+  const names = { p1: room.players.p1.name, p2: room.players.p2.name };
+  const round = room.state.round;
+  const result = await judgeDuelRound(room.state, { p1: p1.normalizedInput, p2: p2.normalizedInput }, names);
+  room.state = applyDuelResult(room.state, result);
+  room.pending = { p1: null, p2: null };
+  const over = isDuelOver(room.state);
+  rooms.broadcast(room, 'round', {
+    round,
+    inputs: { p1: p1.text, p2: p2.text },
+    normalizedInputs: { p1: p1.normalizedInput, p2: p2.normalizedInput },
+    intents: result.intents,
+    roundWinner: result.round_winner,
+    response: result.response,
+    scores: room.state.scores,
+    gameOver: over,
+    winner: over ? getDuelWinner(room.state) : null,
+    room: roomView(room),
+  });
+}
+
+async function handleRoomMove(req, res, session, { params, query }) {
+  const room = requireRoom(params);
+  const body = await parseJsonBody(req, MAX_AUDIO_BODY_BYTES);
+  const slot = requirePlayer(room, playerToken(req, query, body));
+  if (!room.players.p2) throw httpError(409, 'Waiting for a second player to join.');
+  if (isDuelOver(room.state)) throw httpError(409, 'This match is over. Start a new game in the room.');
+  if (room.pending[slot]) throw httpError(409, 'You already submitted a move this round.');
+
+  let text = body.text;
+  let transcribedText = null;
+  if (typeof text !== 'string') {
+    if (!body.audioBase64 || typeof body.audioBase64 !== 'string') {
+      throw httpError(400, 'Send "text" (your move in free text) or "audioBase64".');
+    }
+    requireSpeech('stt', 'Voice moves are');
+    ({ text: transcribedText } = await transcribeAudio(Buffer.from(body.audioBase64, 'base64'), body.mimeType || 'audio/webm'));
+    text = transcribedText || '';
+  }
+  if (text.length > MAX_MOVE_LENGTH) throw httpError(400, `Move text is longer than ${MAX_MOVE_LENGTH} characters.`);
+  if (room.pending[slot]) throw httpError(409, 'You already submitted a move this round.');
+
+  room.pending[slot] = { text, normalizedInput: normalizeMoveInput(text, room.state.ruleSet), transcribedText };
+  rooms.broadcast(room, 'move-submitted', { slot, room: roomView(room) });
+  sendJson(res, 202, { accepted: true, slot, transcribedText, room: roomView(room) });
+
+  if (room.pending.p1 && room.pending.p2 && !room.busy) {
+    room.busy = true;
+    try {
+      await resolveRoomRound(room);
+    } catch (err) {
+      console.error('Room round error:', err);
+      room.pending = { p1: null, p2: null };
+      rooms.broadcast(room, 'error', { message: 'The round could not be judged. Submit your moves again.' });
+    } finally {
+      room.busy = false;
+    }
+  }
+}
+
+async function handleRoomNewGame(req, res, session, { params, query }) {
+  const room = requireRoom(params);
+  const body = await parseJsonBody(req);
+  requirePlayer(room, playerToken(req, query, body));
+  if (room.busy) throw httpError(409, 'A round is being judged; try again in a moment.');
+  room.state = createDuelState(room.state.ruleSet, room.state.format);
+  room.pending = { p1: null, p2: null };
+  rooms.broadcast(room, 'new-game', { room: roomView(room) });
+  sendJson(res, 200, { ok: true, room: roomView(room) });
+}
+
+function servePage(req, res) {
+  sendFile(res, 'voice.html');
+}
+
+function serveDuelPage(req, res) {
+  sendFile(res, 'duel.html');
+}
+
+function sendFile(res, name) {
+  const file = path.join(__dirname, 'public-voice', name);
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.statusCode = 404;
+      res.end('Not found');
+      return;
+    }
+    res.setHeader('Content-Type', 'text/html');
+    res.end(data);
+  });
+}
+
+/**
+ * [method, path or RegExp (named groups → params), handler(req, res, session, { params, query }), options]
+ * options.session false: no session cookie (for scrapers). options.rateLimit 'rounds': the route
+ * judges a round (Judge / STT / TTS calls), so it also counts against RATE_LIMIT_ROUNDS_PER_MIN.
+ */
+const routes = [
+  // Pages are not rate-limited, so they must not open a session: the page's first API call does.
+  ['GET', '/', servePage, { session: false }],
+  ['GET', '/index.html', servePage, { session: false }],
+  ['GET', '/duel', serveDuelPage, { session: false }],
+  ['GET', '/api/state', handleState],
+  ['POST', '/api/move', handleMove, { rateLimit: 'rounds' }],
+  ['POST', '/api/voice', handleVoice, { rateLimit: 'rounds' }],
+  ['POST', '/api/new-game', handleNewGame],
+  ['POST', '/api/rejudge', handleRejudge, { rateLimit: 'rounds' }],
+  ['POST', '/api/resume', handleResume],
+  ['GET', '/api/rounds', handleRounds],
+  ['GET', /^\/api\/rounds\/(?<index>\d+)\/audio$/, handleRoundAudio, { rateLimit: 'rounds' }],
+  ['GET', /^\/api\/matches\/(?<id>[\w-]+)$/, handleMatchSummary, { session: false }],
+  ['GET', '/api/cache', handleCacheStats],
+  ['GET', '/metrics', handleMetrics, { session: false }],
+  ['POST', '/api/rooms', handleCreateRoom],
+  ['POST', /^\/api\/rooms\/(?<id>[^/]+)\/join$/, handleJoinRoom],
+  ['GET', /^\/api\/rooms\/(?<id>[^/]+)\/events$/, handleRoomEvents],
+  ['POST', /^\/api\/rooms\/(?<id>[^/]+)\/move$/, handleRoomMove, { rateLimit: 'rounds' }],
+  ['POST', /^\/api\/rooms\/(?<id>[^/]+)\/new-game$/, handleRoomNewGame],
+];
+
+/**
+ * Count the request against the client's limits: every /api/ route, plus the round limit for
+ * routes marked rateLimit 'rounds'. Returns the exceeded limit's { retryAfterSec }, or null.
+ */
+function checkRateLimits(req, pathname, options) {
+  if (!pathname.startsWith('/api/')) return null;
+  const key = clientKey(req, { trustProxy: TRUST_PROXY });
+  const names = options.rateLimit ? ['api', options.rateLimit] : ['api'];
+  for (const name of names) {
+    const result = rateLimits[name].take(key);
+    if (!result.allowed) {
+      incCounter('rpsb_rate_limited_total', 'Requests answered 429 by the per-client rate limits.', { limit: name });
+      return result;
+    }
+  }
+  return null;
+}
+
+/** Route params for a path, or null if the route does not match. */
+function matchPath(pattern, pathname) {
+  if (typeof pattern === 'string') return pattern === pathname ? {} : null;
+  const m = pathname.match(pattern);
+  return m ? { ...m.groups } : null;
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams: query } = new URL(req.url || '/', 'http://localhost');
+  const method = req.method || 'GET';
+  const matches = routes
+    .map(([routeMethod, pattern, fn, options = {}]) => ({ routeMethod, fn, options, params: matchPath(pattern, pathname) }))
+    .filter((r) => r.params);
+  const route = matches.find((r) => r.routeMethod === method);
+  const handler = route && route.fn;
+
+  if (!handler) {
+    if (matches.length) {
+      sendError(res, 405, `Method ${method} is not allowed on ${pathname}.`);
+    } else if (pathname.startsWith('/api/')) {
+      sendError(res, 404, `No API route ${pathname}.`);
+    } else {
+      res.statusCode = 404;
+      res.end('Not found');
+    }
     return;
   }
 
-  res.statusCode = 404;
-  res.end('Not found');
-});
+  const limited = checkRateLimits(req, pathname, route.options);
+  if (limited) {
+    res.setHeader('Retry-After', String(limited.retryAfterSec));
+    sendError(res, 429, `Too many requests. Try again in ${limited.retryAfterSec}s.`);
+    return;
+  }
 
-server.listen(PORT, () => {
-  console.log(`Voice mode: http://localhost:${PORT}`);
-  console.log(`Set ELEVENLABS_API_KEY and ANTHROPIC_API_KEY in .env`);
+  const clientId = req.headers['x-request-id'];
+  const requestId = typeof clientId === 'string' && /^[\w.:-]{1,128}$/.test(clientId) ? clientId : newRequestId();
+  res.setHeader('X-Request-Id', requestId);
+  try {
+    const session = route.options.session === false ? null : getSession(req, res);
+    await withRequestId(requestId, () => handler(req, res, session, { params: route.params, query }));
+  } catch (err) {
+    if (!err.status) console.error('Request error:', err);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    // only deliberate httpError messages reach the client; anything else may carry internals
+    if (err.status) sendError(res, err.status, err.message);
+    else sendError(res, 500, 'Internal server error.');
+  }
 });
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Voice mode: http://localhost:${PORT}`);
+    console.log(`Two-player rooms: http://localhost:${PORT}/duel`);
+    const stt = resolveSpeechProvider('stt');
+    const tts = resolveSpeechProvider('tts');
+    console.log(`Speech: STT ${stt.name}, TTS ${tts.name}`);
+    if (ensemble) console.log(`Judge ensemble: ${describeEnsemble(ensemble)}`);
+    for (const error of new Set([stt.error, tts.error].filter(Boolean))) console.log(`Voice mode needs setup: ${error}`);
+  });
+}
+
+module.exports = { server }; // for the route tests, which listen on a port of their own
@@ -1,23 +1,30 @@
 /**
- * AI Judge: one API call per round (Gemini or Claude — whichever key you set).
+ * AI Judge: one provider call per round (Claude, Gemini, the offline local judge, or any registered provider).
  * Responsibilities (delegated to the model via prompt):
  * - Intent understanding (VALID / INVALID / UNCLEAR + move + reason)
  * - Game logic (round_winner from moves + rules)
  * - Response generation (what the user sees)
- * We only call the API and parse the structured output; no game logic in code.
+ * We only call the provider and parse the structured output; no game logic in code.
  */
 
-const { buildRoundPrompt } = require('./rules-and-prompt.js');
-const { TOTAL_ROUNDS } = require('./state.js');
+const { buildRoundPrompt, buildCorrectionPrompt } = require('./rules-and-prompt.js');
+const { resolveProvider, listProviders } = require('./providers.js');
+const { getRuleSet } = require('./rule-sets.js');
+const { ruleSetOf, powerUpsOf } = require('./power-ups.js');
+const { findDiscrepancies, correctVerdict } = require('./verifier.js');
+const { createJudgeStream } = require('./judge-stream.js');
+const { getDefaultCache, judgeCacheKey } = require('./judge-cache.js');
+const { resolveTemplate, templateId } = require('./prompt-templates.js');
+const { startCall, incCounter } = require('./telemetry.js');
+const { detectInjection, injectionGuardEnabled } = require('./prompt-guard.js');
+const { describeNext } = require('./local-judge.js');
+const { resolveEnsemble, judgeEnsemble } = require('./ensemble.js');
 
 const MAX_RETRIES = 2; // retry up to 2 times on 429 (3 attempts total)
 const DEFAULT_RETRY_MS = 10_000; // 10s if no delay in error
-const MAX_TOKENS = 1024;
-
-// Claude
-const ANTHROPIC_DEFAULT_MODEL = 'claude-3-5-haiku-latest';
-// Gemini
-const GEMINI_DEFAULT_MODEL = 'gemini-2.0-flash';
+const DEFAULT_REJUDGES = 2; // verifier re-prompts when verify is on without a count
+const ROUND_WINNERS = ['user', 'bot', 'draw'];
+const MAX_CLARIFICATIONS = 5; // clarifying questions per round
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -44,9 +51,8 @@ function shortError(err, provider) {
     const sec = Math.ceil(parseRetryDelayMs(err) / 1000);
     return `Rate limit exceeded. Wait ~${sec}s and try again.`;
   }
-  if (/404|not found/i.test(msg)) {
-    if (provider === 'gemini') return 'Model not found. Try setting GEMINI_MODEL (e.g. gemini-2.0-flash).';
-    return 'Model not found. Try setting ANTHROPIC_MODEL (e.g. claude-3-5-haiku-latest).';
+  if (/404|not found/i.test(msg) && provider && provider.modelEnv) {
+    return `Model not found. Try setting ${provider.modelEnv} (e.g. ${provider.defaultModel}).`;
   }
   if (/401|403|API key|invalid api key/i.test(msg)) {
     return 'Invalid or missing API key. Set GEMINI_API_KEY or ANTHROPIC_API_KEY.';
@@ -55,128 +61,333 @@ function shortError(err, provider) {
 }
 
 /**
- * Call Gemini and return raw text.
+ * Telemetry outcome for the model's raw output: empty, invalid_json or ok, with the intent
+ * status it returned (single-player verdicts only).
+ */
+function describeOutput(text) {
+  if (!text) return { outcome: 'empty' };
+  try {
+    const obj = JSON.parse(stripCodeFence(text));
+    const status = obj && obj.intent && obj.intent.status;
+    return typeof status === 'string' ? { outcome: 'ok', verdict: status } : { outcome: 'ok' };
+  } catch (e) {
+    return { outcome: 'invalid_json' };
+  }
+}
+
+/**
+ * First prompt-injection pattern the message matches (counted for /metrics), or null when it is
+ * clean or INJECTION_GUARD is off.
  */
-async function callGemini(prompt, apiKey, modelId) {
-  const { GoogleGenerativeAI } = await import('@google/generative-ai');
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const model = genAI.getGenerativeModel({ model: modelId });
-  const result = await model.generateContent(prompt);
-  const response = result.response;
-  return (response?.text?.() ?? response?.text ?? '').trim();
+function checkInjection(text) {
+  const injection = injectionGuardEnabled() ? detectInjection(text) : null;
+  if (injection) incCounter('rpsb_injection_attempts_total', 'Messages ruled INVALID by the prompt-injection check.', { pattern: injection.pattern });
+  return injection;
 }
 
 /**
- * Call Claude and return raw text.
+ * Call the provider once, retrying up to MAX_RETRIES times on 429 (quota/rate limit).
+ * Resolves to the raw text; rejects with the last error.
  */
-async function callClaude(prompt, apiKey, modelId) {
-  const Anthropic = require('@anthropic-ai/sdk');
-  const client = new Anthropic({ apiKey });
-  const message = await client.messages.create({
-    model: modelId,
-    max_tokens: MAX_TOKENS,
-    system: 'You are an AI Judge for a Rock–Paper–Scissors–Bomb game. Reply with only valid JSON, no markdown or extra text.',
-    messages: [{ role: 'user', content: prompt }],
-  });
-  const textBlock = message.content && message.content.find((block) => block.type === 'text');
-  return (textBlock && textBlock.text ? textBlock.text : '').trim();
+async function callWithRetries(provider, name, prompt, ctx) {
+  const telemetry = startCall('judge', { provider: name, model: ctx.model });
+  let lastErr;
+  let attempt = 0;
+  for (; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      const { text, usage } = await provider.call(prompt, ctx);
+      telemetry.finish({ ...describeOutput(text), retries: attempt, usage: usage || null });
+      return text;
+    } catch (err) {
+      lastErr = err;
+      if (attempt < MAX_RETRIES && isQuotaError(err)) {
+        const delayMs = parseRetryDelayMs(err);
+        console.error(`AI Judge (${name}): rate limit. Retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1}/${MAX_RETRIES + 1})…`);
+        await sleep(delayMs);
+      } else {
+        break;
+      }
+    }
+  }
+  telemetry.finish({ outcome: isQuotaError(lastErr) ? 'rate_limited' : 'error', retries: attempt, error: shortError(lastErr, provider) });
+  throw lastErr;
 }
 
 /**
- * Choose provider and call the right API. Prefer Claude if both keys set.
+ * How many times the verifier may re-prompt: options.verify (true / number / false),
+ * then JUDGE_VERIFY from env. null = verifier off.
  */
-function getProvider(options) {
-  const anthropicKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
-  const geminiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-  if (anthropicKey) return { provider: 'claude', apiKey: anthropicKey };
-  if (geminiKey) return { provider: 'gemini', apiKey: geminiKey };
-  return { provider: null, apiKey: null };
+function resolveMaxRejudges(options) {
+  const setting = options.verify ?? process.env.JUDGE_VERIFY;
+  if (setting === undefined || setting === null || setting === false || setting === '' || setting === 'false') return null;
+  if (setting === true || setting === 'true') return DEFAULT_REJUDGES;
+  const n = Number(setting);
+  return Number.isInteger(n) && n >= 0 ? n : DEFAULT_REJUDGES;
 }
 
 /**
- * Call Judge API (Gemini or Claude) and return parsed round result.
+ * How many clarifying questions the Judge may ask per round: the given value, then CLARIFY_MAX
+ * from env. 0 (default) = clarification off, an UNCLEAR move wastes the turn. Otherwise the caller
+ * holds the round open on result.clarification (startClarification in state.js) and judges the
+ * answer with the same bot move.
+ * @throws {Error} On a value that is not a whole number from 0 to MAX_CLARIFICATIONS
+ */
+function resolveMaxClarifications(value) {
+  const n = Number(value ?? (process.env.CLARIFY_MAX || 0));
+  if (!Number.isInteger(n) || n < 0 || n > MAX_CLARIFICATIONS) {
+    throw new Error(`Clarifying questions per round must be a whole number from 0 to ${MAX_CLARIFICATIONS}.`);
+  }
+  return n;
+}
+
+/**
+ * Clarification context for the prompt: questions left this round and the pending question
+ * (state.clarification), or null when clarification is off and nothing is pending.
+ */
+function clarifyContext(state, maxClarifications) {
+  const pending = state.clarification || null;
+  if (!maxClarifications && !pending) return null;
+  return { remaining: Math.max(0, maxClarifications - (pending ? pending.asked : 0)), pending };
+}
+
+/** Keep a clarifying question only for an UNCLEAR verdict while questions are left. */
+function keepClarification(result, clarify) {
+  if (!result.clarification || (clarify && clarify.remaining > 0 && result.intent.status === 'UNCLEAR')) return result;
+  const { clarification, ...rest } = result;
+  return rest;
+}
+
+/**
+ * Verifier layer: check the verdict against the rules; on a discrepancy, re-prompt the model
+ * with what was wrong (up to maxRejudges times). If it still disagrees, the verdict is
+ * corrected in code. The outcome is recorded in result.verification.
+ */
+async function verifyAndRejudge(result, maxRejudges, { provider, name, prompt, ctx, ruleSet }) {
+  const { state, botMove } = ctx;
+  let discrepancies = findDiscrepancies(state, result, botMove);
+  if (discrepancies.length === 0) {
+    return { ...result, verification: { agreed: true, rejudges: 0, discrepancies: [], corrected: false } };
+  }
+
+  const firstDiscrepancies = discrepancies;
+  let current = result;
+  let rejudges = 0;
+  while (discrepancies.length > 0 && rejudges < maxRejudges) {
+    rejudges += 1;
+    console.error(`AI Judge (${name}): verdict contradicts the rules (${discrepancies.join(' ')}). Re-judging (${rejudges}/${maxRejudges})…`);
+    let text;
+    try {
+      text = await callWithRetries(provider, name, buildCorrectionPrompt(prompt, current.raw, discrepancies), ctx);
+    } catch (err) {
+      console.error('AI Judge re-judge error:', shortError(err, provider));
+      break;
+    }
+    if (!text) break;
+    current = { ...parseStructuredOutput(text, ruleSet, ctx.powerUps), raw: text, provider: name, model: ctx.model };
+    discrepancies = findDiscrepancies(state, current, botMove);
+  }
+
+  const corrected = discrepancies.length > 0;
+  const final = corrected ? correctVerdict(state, current, botMove) : current;
+  return {
+    ...final,
+    verification: {
+      agreed: false,
+      rejudges,
+      discrepancies: firstDiscrepancies,
+      corrected,
+      original: { intent: result.intent, round_winner: result.round_winner },
+    },
+  };
+}
+
+/**
+ * Call the Judge provider and return parsed round result.
  * On 429 (quota/rate limit), waits and retries up to MAX_RETRIES times.
- * @param {object} state - { round, userScore, botScore, bombUsed }
+ * @param {object} state - Game state (state.js)
  * @param {string} userInput - User's free-text move
- * @param {string} botMove - Bot's move (rock/paper/scissors)
- * @param {object} options - { apiKey, model } (optional; overrides env)
- * @returns {Promise<{ intent, round_winner, response, raw }>}
+ * @param {string} botMove - Bot's move (one of the rule set's bot moves)
+ * @param {object} options - { provider, apiKey, model, ensemble, verify, cache, locale, hint, template, clarify, botPowerUp, injection, onVerdict, onResponseChunk } (optional; overrides env)
+ * @returns {Promise<{ intent, round_winner, response, raw, provider, model, promptTemplate, ... }>} error is set when the Judge could not judge
  */
 async function judgeRound(state, userInput, botMove, options = {}) {
-  const { provider, apiKey } = getProvider(options);
-  if (!provider || !apiKey) {
+  const ensemble = resolveEnsemble(options.ensemble, { provider: options.provider });
+  if (ensemble) {
+    const injection = checkInjection(userInput);
+    const judgeMember = (member, stream) => judgeRound(state, userInput, botMove, {
+      ...options,
+      onVerdict: stream.onVerdict, // in a vote only the winning verdict is streamed, by judgeEnsemble
+      onResponseChunk: stream.onResponseChunk,
+      provider: member.provider,
+      model: member.model || undefined,
+      apiKey: undefined, // each member uses its own provider's key
+      ensemble: false,
+      injection,
+    });
+    if (injection) return judgeMember(ensemble.members[0], options); // the same INVALID verdict from every member
+    return judgeEnsemble(ensemble, judgeMember, options);
+  }
+
+  const { provider, name, apiKey, model } = resolveProvider(options);
+  if (!provider) {
     return {
-      intent: { status: 'INVALID', move: null, reason: 'No API key. Set GEMINI_API_KEY or ANTHROPIC_API_KEY in .env.' },
+      intent: { status: 'INVALID', move: null, reason: `Unknown judge provider "${name}". Use one of: ${listProviders().join(', ')}.` },
       round_winner: null,
-      response: 'Cannot run AI Judge: set either GEMINI_API_KEY or ANTHROPIC_API_KEY in .env.',
+      response: `Cannot run AI Judge: unknown provider "${name}".`,
       raw: null,
+      provider: name,
+      model: null,
+      error: `Unknown judge provider "${name}".`,
+    };
+  }
+  if (provider.keyEnv.length && !apiKey) {
+    return {
+      intent: { status: 'INVALID', move: null, reason: `No API key. Set ${provider.keyEnv[0]} in .env.` },
+      round_winner: null,
+      response: `Cannot run AI Judge: set ${provider.keyEnv[0]} in .env, or use JUDGE_PROVIDER=local to play offline.`,
+      raw: null,
+      provider: name,
+      model,
+      error: `${provider.keyEnv[0]} is not set.`,
     };
   }
 
-  const prompt = buildRoundPrompt(state, userInput, botMove, TOTAL_ROUNDS);
-  const modelId = options.model ||
-    (provider === 'gemini' ? (process.env.GEMINI_MODEL || GEMINI_DEFAULT_MODEL) : (process.env.ANTHROPIC_MODEL || ANTHROPIC_DEFAULT_MODEL));
-  let lastErr;
+  const ruleSet = ruleSetOf(state);
+  const powerUps = powerUpsOf(state);
+  const botPowerUp = options.botPowerUp || null;
+  const promptTemplate = templateId(resolveTemplate(options.template));
+  const clarify = clarifyContext(state, resolveMaxClarifications(options.clarify));
+  const injection = options.injection !== undefined ? options.injection : checkInjection(userInput);
+  if (injection) {
+    return {
+      intent: { status: 'INVALID', move: null, reason: `Prompt injection: ${injection.reason}` },
+      round_winner: null,
+      response: `Round ${state.round}. That message tries to instruct the Judge instead of playing a move, so it is invalid and the turn is wasted. ${describeNext(state, null)}`,
+      raw: null,
+      provider: name,
+      model,
+      promptTemplate,
+      injection,
+    };
+  }
+  const prompt = buildRoundPrompt(state, userInput, botMove, { locale: options.locale, hint: options.hint, template: promptTemplate, clarify, botPowerUp });
+  const ctx = { apiKey, model, ruleSet, powerUps, state, userInput, botMove, botPowerUp, locale: options.locale, clarify };
+  const stream = options.onVerdict || options.onResponseChunk
+    ? createJudgeStream({
+      onVerdict: options.onVerdict && ((raw) => options.onVerdict({
+        intent: parseIntent(raw.intent, ruleSet.moves, powerUps),
+        round_winner: parseRoundWinner(raw.round_winner),
+      })),
+      onResponse: options.onResponseChunk,
+    })
+    : null;
 
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const text = provider === 'gemini'
-        ? await callGemini(prompt, apiKey, modelId)
-        : await callClaude(prompt, apiKey, modelId);
-
-      if (!text) {
-        return {
-          intent: { status: 'UNCLEAR', move: null, reason: 'Model returned no content.' },
-          round_winner: null,
-          response: 'No response from the Judge. Try again.',
-          raw: null,
-        };
-      }
+  const cache = options.cache === undefined ? getDefaultCache() : options.cache || null;
+  // Only the first call streams; verifier re-judges replace the result as a whole.
+  const call = () => callWithRetries(provider, name, prompt, stream ? { ...ctx, onToken: stream.push } : ctx);
 
-      const parsed = parseStructuredOutput(text);
-      return { ...parsed, raw: text };
-    } catch (err) {
-      lastErr = err;
-      if (attempt < MAX_RETRIES && isQuotaError(err)) {
-        const delayMs = parseRetryDelayMs(err);
-        console.error(`AI Judge (${provider}): rate limit. Retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1}/${MAX_RETRIES + 1})…`);
-        await sleep(delayMs);
-      } else {
-        break;
-      }
+  let text;
+  let cacheSource = null;
+  try {
+    if (cache) {
+      const cached = await cache.getOrCompute(judgeCacheKey({ provider: name, model, state, userInput, botMove, botPowerUp, locale: options.locale, hint: options.hint, promptTemplate, clarify }), call);
+      text = cached.value;
+      cacheSource = cached.source;
+      if (stream && cacheSource !== 'miss') stream.push(text);
+    } else {
+      text = await call();
     }
+  } catch (err) {
+    const short = shortError(err, provider);
+    console.error('AI Judge error:', short);
+    return {
+      intent: { status: 'INVALID', move: null, reason: short },
+      round_winner: null,
+      response: `Judge error: ${short}`,
+      raw: null,
+      provider: name,
+      model,
+      promptTemplate,
+      error: short,
+    };
   }
 
-  const short = shortError(lastErr, provider);
-  console.error('AI Judge error:', short);
-  return {
-    intent: { status: 'INVALID', move: null, reason: short },
-    round_winner: null,
-    response: `Judge error: ${short}`,
-    raw: null,
+  if (!text) {
+    return {
+      intent: { status: 'UNCLEAR', move: null, reason: 'Model returned no content.' },
+      round_winner: null,
+      response: 'No response from the Judge. Try again.',
+      raw: null,
+      provider: name,
+      model,
+      promptTemplate,
+      error: 'Model returned no content.',
+    };
+  }
+
+  const result = { ...parseStructuredOutput(text, ruleSet, powerUps), raw: text, provider: name, model, promptTemplate };
+  if (cacheSource) result.cache = cacheSource;
+  const maxRejudges = resolveMaxRejudges(options);
+  const judged = maxRejudges === null ? result : await verifyAndRejudge(result, maxRejudges, { provider, name, prompt, ctx, ruleSet });
+  return withPowerUps(keepClarification(judged, clarify), powerUps, botPowerUp);
+}
+
+/** result.powerUps for a game with power-ups: the user's only with a VALID move. */
+function withPowerUps(result, powerUps, botPowerUp) {
+  if (!powerUps.length) return result;
+  const user = result.intent.status === 'VALID' ? result.intent.power_up || null : null;
+  return { ...result, powerUps: { user, bot: botPowerUp } };
+}
+
+/** Strip a markdown code fence around JSON, if present. */
+function stripCodeFence(text) {
+  const jsonStr = text.trim();
+  const m = jsonStr.match(/^```(?:json)?\s*([\s\S]*?)```$/);
+  return m ? m[1].trim() : jsonStr;
+}
+
+function parseRoundWinner(value) {
+  return ROUND_WINNERS.includes(value) ? value : null;
+}
+
+/**
+ * Validate one intent object from model output against the allowed moves (and, when the game
+ * has power-ups, the allowed power-ups: intent.power_up).
+ */
+function parseIntent(raw, moves, powerUps = []) {
+  if (!raw || typeof raw !== 'object') {
+    const missing = { status: 'UNCLEAR', move: null, reason: 'Missing intent.' };
+    return powerUps.length ? { ...missing, power_up: null } : missing;
+  }
+  const intent = {
+    status: ['VALID', 'INVALID', 'UNCLEAR'].includes(raw.status) ? raw.status : 'UNCLEAR',
+    move: moves.includes(raw.move) ? raw.move : null,
+    reason: String(raw.reason ?? ''),
   };
+  return powerUps.length ? { ...intent, power_up: powerUps.includes(raw.power_up) ? raw.power_up : null } : intent;
+}
+
+/** Validate a clarifying question from model output; null when there is no usable question. */
+function parseClarification(raw, moves) {
+  if (!raw || typeof raw !== 'object' || typeof raw.question !== 'string' || !raw.question.trim()) return null;
+  const candidates = Array.isArray(raw.candidates) ? raw.candidates.filter((m) => moves.includes(m)) : [];
+  return { question: raw.question.trim(), candidates: [...new Set(candidates)] };
 }
 
 /**
  * Parse JSON from model output (strip markdown code blocks if present).
+ * Moves are validated against the rule set (default: RULE_SET env, then rpsb), power-ups against
+ * the game's (none by default).
  */
-function parseStructuredOutput(text) {
-  let jsonStr = text.trim();
-  const codeBlock = /^```(?:json)?\s*([\s\S]*?)```$/;
-  const m = jsonStr.match(codeBlock);
-  if (m) jsonStr = m[1].trim();
+function parseStructuredOutput(text, ruleSet, powerUps = []) {
+  const { moves } = getRuleSet(ruleSet);
   try {
-    const obj = JSON.parse(jsonStr);
-    const intent = obj.intent && typeof obj.intent === 'object'
-      ? {
-        status: ['VALID', 'INVALID', 'UNCLEAR'].includes(obj.intent.status) ? obj.intent.status : 'UNCLEAR',
-        move: ['rock', 'paper', 'scissors', 'bomb'].includes(obj.intent.move) ? obj.intent.move : null,
-        reason: String(obj.intent.reason ?? ''),
-      }
-      : { status: 'UNCLEAR', move: null, reason: 'Missing intent.' };
-    const round_winner = ['user', 'bot', 'draw'].includes(obj.round_winner) ? obj.round_winner : null;
+    const obj = JSON.parse(stripCodeFence(text));
+    const intent = parseIntent(obj.intent, moves, powerUps);
+    const round_winner = parseRoundWinner(obj.round_winner);
     const response = typeof obj.response === 'string' ? obj.response : String(obj.response ?? '');
-    return { intent, round_winner, response };
+    const clarification = intent.status === 'UNCLEAR' ? parseClarification(obj.clarification, moves) : null;
+    return clarification ? { intent, round_winner, clarification, response } : { intent, round_winner, response };
   } catch (e) {
     return {
       intent: { status: 'UNCLEAR', move: null, reason: 'Response was not valid JSON.' },
@@ -189,4 +400,11 @@ function parseStructuredOutput(text) {
 module.exports = {
   judgeRound,
   parseStructuredOutput,
+  resolveMaxClarifications,
+  // shared with the two-player judge (duel.js)
+  callWithRetries,
+  checkInjection,
+  shortError,
+  stripCodeFence,
+  parseIntent,
 };
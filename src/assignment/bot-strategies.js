@@ -0,0 +1,195 @@
+/**
+ * Bot opponent strategies. A strategy picks the bot's move from the game state, using
+ * state.history (the user's previous VALID moves, the bot's moves and round winners).
+ * Strategies only pick from the rule set's bot moves; spending the bot's own limited-use
+ * move (e.g. its one bomb) and its power-ups (chooseBotPowerUp) is decided separately when
+ * `useLimited` is on.
+ * Selection: CLI flag / request parameter → BOT_STRATEGY env → random.
+ * Randomness comes from Math.random unless a seed is set (--seed / BOT_SEED): then each round
+ * draws from its own generator seeded with (seed, round), so a game replays identically,
+ * also after --resume or a rejudge.
+ */
+
+const crypto = require('crypto');
+const { botMoves, compareMoves, usesLeft } = require('./rule-sets.js');
+const { formatOf, endingOutcomes } = require('./match-format.js');
+const { ruleSetOf, powerUpsOf, getPowerUp, chargesLeft } = require('./power-ups.js');
+
+const DEFAULT_STRATEGY = 'random';
+
+const strategies = new Map();
+
+/** Mulberry32: a small, fast 32-bit PRNG; returns numbers in [0, 1) like Math.random. */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Reproducible generator for one round of a seeded game.
+ * @param {string|number} seed - Any string or number
+ * @param {number} round
+ */
+function seededRng(seed, round) {
+  const hash = crypto.createHash('sha256').update(`${seed}:${round}`).digest();
+  return mulberry32(hash.readUInt32BE(0));
+}
+
+/** Bot seed: the given value, then BOT_SEED env; null = unseeded (Math.random). */
+function resolveSeed(value) {
+  const seed = value ?? process.env.BOT_SEED;
+  return seed === undefined || seed === null || seed === '' ? null : String(seed);
+}
+
+function pick(items, rng) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+/** A bot move that beats `move`, or a random bot move if none does. */
+function counter(ruleSet, move, rng) {
+  const pool = botMoves(ruleSet);
+  const winners = pool.filter((m) => compareMoves(ruleSet, m, move) === 'user');
+  return pick(winners.length ? winners : pool, rng);
+}
+
+/** The user's VALID moves so far, oldest first. */
+function userMoves(state) {
+  return (state.history || []).map((h) => h.userMove).filter(Boolean);
+}
+
+/** Most frequent item (latest wins ties), or null. */
+function mostFrequent(items) {
+  const counts = new Map();
+  let best = null;
+  for (const item of items) {
+    counts.set(item, (counts.get(item) || 0) + 1);
+    if (best === null || counts.get(item) >= counts.get(best)) best = item;
+  }
+  return best;
+}
+
+/** Uniform random over the bot moves. */
+function randomStrategy(state, ruleSet, rng) {
+  return pick(botMoves(ruleSet), rng);
+}
+
+/** Counter the user's most frequent move so far. */
+function frequencyStrategy(state, ruleSet, rng) {
+  const predicted = mostFrequent(userMoves(state));
+  return predicted ? counter(ruleSet, predicted, rng) : randomStrategy(state, ruleSet, rng);
+}
+
+/**
+ * First-order Markov predictor: what did the user play after their last move in the past?
+ * Falls back to the frequency counter when that transition has not been seen.
+ */
+function markovStrategy(state, ruleSet, rng) {
+  const moves = userMoves(state);
+  if (moves.length < 2) return frequencyStrategy(state, ruleSet, rng);
+  const last = moves[moves.length - 1];
+  const followers = [];
+  for (let i = 0; i < moves.length - 1; i++) {
+    if (moves[i] === last) followers.push(moves[i + 1]);
+  }
+  const predicted = mostFrequent(followers);
+  return predicted ? counter(ruleSet, predicted, rng) : frequencyStrategy(state, ruleSet, rng);
+}
+
+/**
+ * Win-stay / lose-shift: repeat the bot's move after a win; after a loss, switch to the move
+ * that beats what the user just played; otherwise random.
+ */
+function winStayLoseShiftStrategy(state, ruleSet, rng) {
+  const last = (state.history || []).slice(-1)[0];
+  if (!last) return randomStrategy(state, ruleSet, rng);
+  if (last.winner === 'bot' && botMoves(ruleSet).includes(last.botMove)) return last.botMove;
+  if (last.winner === 'user' && last.userMove) return counter(ruleSet, last.userMove, rng);
+  return randomStrategy(state, ruleSet, rng);
+}
+
+/**
+ * Add (or replace) a strategy.
+ * @param {string} name
+ * @param {Function} fn - (state, ruleSet, rng) → move
+ */
+function registerStrategy(name, fn) {
+  if (!name || typeof fn !== 'function') throw new Error('A bot strategy needs a name and a function');
+  strategies.set(name, fn);
+}
+
+function listStrategies() {
+  return [...strategies.keys()];
+}
+
+/** Validate a strategy name (default: BOT_STRATEGY env, then random). */
+function resolveStrategy(name) {
+  const resolved = name || process.env.BOT_STRATEGY || DEFAULT_STRATEGY;
+  if (!strategies.has(resolved)) {
+    throw new Error(`Unknown bot strategy "${resolved}". Use one of: ${listStrategies().join(', ')}.`);
+  }
+  return resolved;
+}
+
+/**
+ * The bot spends a limited-use move only when it is not ahead and the match can end this round
+ * (the last regular round, a sudden-death round, or a best-of round the user could clinch).
+ * @returns {string|null} The limited move to play, or null
+ */
+function limitedMoveToPlay(state, ruleSet) {
+  if (state.botScore > state.userScore) return null;
+  if (!endingOutcomes(formatOf(state), state.round, state.userScore, state.botScore).length) return null;
+  return Object.keys(ruleSet.limited).find((m) => usesLeft(ruleSet, state.botLimitedUsed, m) > 0) || null;
+}
+
+/**
+ * Choose the bot's move for the coming round.
+ * @param {object} state - Game state (uses ruleSet, history, scores, botLimitedUsed)
+ * @param {object} [options] - { strategy, useLimited, seed, rng } (rng overrides seed)
+ * @returns {string} Bot move
+ */
+function chooseBotMove(state, options = {}) {
+  const ruleSet = ruleSetOf(state);
+  const rng = options.rng || (options.seed != null ? seededRng(options.seed, state.round) : Math.random);
+  if (options.useLimited) {
+    const limitedMove = limitedMoveToPlay(state, ruleSet);
+    if (limitedMove) return limitedMove;
+  }
+  return strategies.get(resolveStrategy(options.strategy))(state, ruleSet, rng);
+}
+
+/**
+ * Choose the bot's power-up for the coming round (with `useLimited` on and power-ups in play).
+ * Like its limited moves, the bot spends one only when the match can end this round: one that
+ * helps when behind (double) if it is behind, else one that protects a lead or a tie (shield).
+ * @param {object} state - Game state (uses inventory, scores, botLimitedUsed)
+ * @param {object} [options] - { useLimited }
+ * @returns {string|null} Power-up id, or null
+ */
+function chooseBotPowerUp(state, options = {}) {
+  if (!options.useLimited) return null;
+  if (!endingOutcomes(formatOf(state), state.round, state.userScore, state.botScore).length) return null;
+  const when = state.botScore < state.userScore ? 'behind' : 'not-behind';
+  return powerUpsOf(state).find((id) => getPowerUp(id).botWhen === when && chargesLeft(state, id, 'bot') > 0) || null;
+}
+
+registerStrategy('random', randomStrategy);
+registerStrategy('frequency', frequencyStrategy);
+registerStrategy('markov', markovStrategy);
+registerStrategy('win-stay-lose-shift', winStayLoseShiftStrategy);
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  chooseBotMove,
+  chooseBotPowerUp,
+  registerStrategy,
+  listStrategies,
+  resolveStrategy,
+  resolveSeed,
+  seededRng,
+};
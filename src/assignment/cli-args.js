@@ -0,0 +1,78 @@
+/**
+ * Command-line flags for the CLI (node src/assignment/index.js [flags]).
+ * Flags override the matching env settings; unknown flags are an error.
+ */
+
+const { parseArgs } = require('util');
+
+const OPTIONS = {
+  bot: { type: 'string' }, // bot strategy (BOT_STRATEGY)
+  'bot-bomb': { type: 'boolean' }, // let the bot spend its own limited-use moves and power-ups (BOT_USE_LIMITED)
+  inventory: { type: 'string' }, // limited moves and power-ups per player, e.g. bomb=2,shield=1 (INVENTORY)
+  format: { type: 'string' }, // match format: fixed | best-of (MATCH_FORMAT)
+  rounds: { type: 'string' }, // rounds per match (MATCH_ROUNDS)
+  'sudden-death': { type: 'boolean' }, // tiebreak rounds instead of a draw (SUDDEN_DEATH)
+  players: { type: 'string' }, // tournament entrants, comma-separated
+  bracket: { type: 'string' }, // tournament bracket: round-robin | knockout
+  locale: { type: 'string' }, // player's language: en | es | hi | fr | auto (LOCALE)
+  template: { type: 'string' }, // prompt template id, e.g. few-shot@1 (PROMPT_TEMPLATE)
+  clarify: { type: 'string' }, // clarifying questions per round on an unclear move (CLARIFY_MAX)
+  resume: { type: 'string' }, // continue a saved game: match id (or prefix) or "last"
+  moves: { type: 'string' }, // scripted moves file, one per line ("-" = stdin)
+  output: { type: 'string' }, // output format: text | json
+  seed: { type: 'string' }, // bot RNG seed for reproducible runs (BOT_SEED)
+  provider: { type: 'string' }, // judge provider (JUDGE_PROVIDER)
+  model: { type: 'string' }, // judge model (ANTHROPIC_MODEL / GEMINI_MODEL)
+  ensemble: { type: 'string' }, // ensemble judging: failover | vote | off (JUDGE_ENSEMBLE)
+  judges: { type: 'string' }, // ensemble members, e.g. claude,gemini:gemini-1.5-pro (JUDGE_ENSEMBLE_MEMBERS)
+  help: { type: 'boolean', short: 'h' },
+};
+
+const USAGE = `Usage: node src/assignment/index.js [options]
+       node src/assignment/index.js history             List past matches
+       node src/assignment/index.js history <matchId>   Replay one match round by round (alias: replay <matchId>)
+       node src/assignment/index.js tournament --players "Ann,Bob,bot:markov"   Run a tournament
+       node src/assignment/index.js standings           Show the all-time tournament leaderboard
+       node src/assignment/index.js prompts             List prompt templates and compare recorded rounds per version
+       node src/assignment/index.js saved               List saved games in progress (continue one with --resume)
+
+Options:
+  --bot <strategy>     Bot strategy: random, frequency, markov, win-stay-lose-shift (env BOT_STRATEGY)
+  --bot-bomb           Let the bot use its own limited moves (bomb) and power-ups (env BOT_USE_LIMITED=true)
+  --inventory <list>   Limited moves and power-ups per player, e.g. bomb=2,shield=1,double=1 (env INVENTORY)
+  --format <type>      Match format: fixed (play every round) or best-of (stop once clinched) (env MATCH_FORMAT)
+  --rounds <n>         Rounds per match, default 3 (env MATCH_ROUNDS)
+  --sudden-death       Play tiebreak rounds instead of ending in a draw (env SUDDEN_DEATH=true)
+  --players <list>     Tournament entrants, comma-separated; bot:<strategy> adds a bot
+  --bracket <type>     Tournament bracket: round-robin (default) or knockout
+  --locale <id>        Your language: en, es, hi, fr, or auto to detect it per move (env LOCALE)
+  --template <id>      Prompt template, e.g. standard or few-shot@1 (env PROMPT_TEMPLATE; PROMPT_AB splits games)
+  --clarify <n>        On an unclear move, ask which one you meant up to n times before the turn is wasted (env CLARIFY_MAX, default 0 = off)
+  --resume <id>        Continue a saved game (match id, id prefix, or "last"); it keeps its own settings
+  --moves <file>       Read moves from a file, one per line ("#" comments and blank lines skipped); piped stdin works too
+  --output <format>    text (default) or json: one JSON object per judged message on stdout, nothing else
+  --seed <value>       Seed the bot's random choices so a run can be repeated exactly (env BOT_SEED)
+  --provider <name>    Judge provider: claude, gemini or local (env JUDGE_PROVIDER)
+  --model <id>         Judge model for the provider (env ANTHROPIC_MODEL / GEMINI_MODEL)
+  --ensemble <mode>    Judge with several providers: failover, vote or off (env JUDGE_ENSEMBLE; --provider turns the env setting off)
+  --judges <list>      Ensemble members as provider[:model], e.g. claude,gemini (env JUDGE_ENSEMBLE_MEMBERS)
+  -h, --help           Show this help
+
+During a game, type "rejudge" (or "undo") to roll back the last round and judge it again, "quit" to save and stop.
+
+Exit codes: 0 match over (or quit), 1 unexpected error, 2 bad options, 3 scripted moves ran out
+before the match was over (the game is saved), 4 match over but the Judge failed on a message.`;
+
+/**
+ * Parse CLI flags.
+ * @param {string[]} argv - Arguments after the script path
+ * @returns {{ values: object, positionals: string[] }}
+ */
+function parseCliArgs(argv) {
+  return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+}
+
+module.exports = {
+  USAGE,
+  parseCliArgs,
+};
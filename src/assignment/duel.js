@@ -0,0 +1,188 @@
+/**
+ * Two-player (human vs human) matches: duel state and the Judge call for a round.
+ * Players are slots 'p1' and 'p2'; each has its own score and limited-use allowance (e.g. bomb).
+ * The Judge interprets both players' messages in one call (buildDuelPrompt) and answers with
+ * { player1, player2, round_winner, response }.
+ */
+
+const { buildDuelPrompt } = require('./rules-and-prompt.js');
+const { resolveProvider, listProviders } = require('./providers.js');
+const { callWithRetries, checkInjection, shortError, stripCodeFence, parseIntent } = require('./ai-judge.js');
+const { describeDuelNext } = require('./local-judge.js');
+const { getRuleSet } = require('./rule-sets.js');
+const { resolveFormat, formatOf, isMatchOver } = require('./match-format.js');
+
+const SLOTS = ['p1', 'p2'];
+const WINNERS = { player1: 'p1', player2: 'p2', draw: 'draw' };
+
+/**
+ * @param {string} [ruleSetId] - Rule set id (default: RULE_SET env, then rpsb)
+ * @param {object} [format] - { type, rounds, suddenDeath } (default: MATCH_* env, then fixed 3)
+ */
+function createDuelState(ruleSetId, format) {
+  const ruleSet = getRuleSet(ruleSetId);
+  const limitedUsed = {};
+  for (const move of Object.keys(ruleSet.limited)) limitedUsed[move] = 0;
+  return {
+    round: 1,
+    ruleSet: ruleSet.id,
+    format: resolveFormat(format),
+    scores: { p1: 0, p2: 0 },
+    limitedUsed: { p1: { ...limitedUsed }, p2: { ...limitedUsed } },
+    history: [], // { p1Move, p2Move, winner } per round
+  };
+}
+
+/**
+ * Advance to the next round from a duel verdict.
+ * @param {object} state - Duel state
+ * @param {object} result - { intents: { p1, p2 }, round_winner: 'p1' | 'p2' | 'draw' | null }
+ */
+function applyDuelResult(state, result) {
+  const moves = {};
+  const limitedUsed = {};
+  for (const slot of SLOTS) {
+    const intent = result.intents[slot];
+    moves[slot] = intent.status === 'VALID' ? intent.move : null;
+    limitedUsed[slot] = { ...state.limitedUsed[slot] };
+    if (moves[slot] in limitedUsed[slot]) limitedUsed[slot][moves[slot]] += 1;
+  }
+  const scores = { ...state.scores };
+  if (result.round_winner === 'p1' || result.round_winner === 'p2') scores[result.round_winner] += 1;
+  return {
+    round: state.round + 1,
+    ruleSet: state.ruleSet,
+    format: state.format,
+    scores,
+    limitedUsed,
+    history: [...state.history, { p1Move: moves.p1, p2Move: moves.p2, winner: result.round_winner }],
+  };
+}
+
+function isDuelOver(state) {
+  return isMatchOver(formatOf(state), state.round, state.scores.p1, state.scores.p2);
+}
+
+/** 'p1' | 'p2' | 'draw' */
+function getDuelWinner(state) {
+  if (state.scores.p1 > state.scores.p2) return 'p1';
+  if (state.scores.p2 > state.scores.p1) return 'p2';
+  return 'draw';
+}
+
+/**
+ * The duel seen from one slot as a user-vs-bot state (this slot = bot), so bot strategies
+ * (chooseBotMove) can play either seat of a two-player match.
+ */
+function playerView(state, slot) {
+  const other = slot === 'p1' ? 'p2' : 'p1';
+  const side = { [slot]: 'bot', [other]: 'user', draw: 'draw' };
+  return {
+    round: state.round,
+    userScore: state.scores[other],
+    botScore: state.scores[slot],
+    ruleSet: state.ruleSet,
+    format: state.format,
+    limitedUsed: state.limitedUsed[other],
+    botLimitedUsed: state.limitedUsed[slot],
+    history: state.history.map((h) => ({
+      userMove: h[`${other}Move`],
+      botMove: h[`${slot}Move`],
+      winner: side[h.winner] ?? null,
+    })),
+  };
+}
+
+/** Verdict where both moves are wasted (judge unavailable or unreadable output). */
+function wastedVerdict(reason, response, extra) {
+  const intent = { status: 'INVALID', move: null, reason };
+  return { intents: { p1: intent, p2: { ...intent } }, round_winner: null, response, raw: null, ...extra };
+}
+
+/**
+ * Wasted round when a player's message is a prompt injection (the model is not called): that
+ * player's move is INVALID; the other one is left unjudged (UNCLEAR) and keeps its limited uses.
+ */
+function injectionVerdict(state, injections, names, extra) {
+  const intents = {};
+  for (const slot of SLOTS) {
+    intents[slot] = injections[slot]
+      ? { status: 'INVALID', move: null, reason: `Prompt injection: ${injections[slot].reason}` }
+      : { status: 'UNCLEAR', move: null, reason: 'Not judged: the other player\'s message was rejected.' };
+  }
+  const who = SLOTS.filter((slot) => injections[slot]).map((slot) => `${names[slot]}'s message`).join(' and ');
+  const response = `Round ${state.round}. ${who} tried to instruct the Judge instead of playing a move, so the turn is wasted. ${describeDuelNext(state, names, null)}`;
+  return { intents, round_winner: null, response, raw: null, injections, ...extra };
+}
+
+/** Parse the Judge's two-player JSON; falls back to UNCLEAR for both on bad output. */
+function parseDuelOutput(text, ruleSet) {
+  const { moves } = getRuleSet(ruleSet);
+  try {
+    const obj = JSON.parse(stripCodeFence(text));
+    const intents = { p1: parseIntent(obj.player1, moves), p2: parseIntent(obj.player2, moves) };
+    const roundWinner = WINNERS[obj.round_winner] || null;
+    const response = typeof obj.response === 'string' ? obj.response : String(obj.response ?? '');
+    return { intents, round_winner: roundWinner, response };
+  } catch (e) {
+    const intent = { status: 'UNCLEAR', move: null, reason: 'Response was not valid JSON.' };
+    return { intents: { p1: intent, p2: { ...intent } }, round_winner: null, response: text.slice(0, 500) };
+  }
+}
+
+/**
+ * Judge one two-player round.
+ * @param {object} state - Duel state
+ * @param {{ p1: string, p2: string }} inputs - Each player's (normalized) free-text move
+ * @param {{ p1: string, p2: string }} names - Display names for the response
+ * @param {object} [options] - { provider, apiKey, model }
+ * @returns {Promise<{ intents: { p1, p2 }, round_winner, response, raw, provider, model }>}
+ */
+async function judgeDuelRound(state, inputs, names, options = {}) {
+  const { provider, name, apiKey, model } = resolveProvider(options);
+  if (!provider) {
+    return wastedVerdict(
+      `Unknown judge provider "${name}". Use one of: ${listProviders().join(', ')}.`,
+      `Cannot run AI Judge: unknown provider "${name}".`,
+      { provider: name, model: null },
+    );
+  }
+  if (provider.keyEnv.length && !apiKey) {
+    return wastedVerdict(
+      `No API key. Set ${provider.keyEnv[0]} in .env.`,
+      `Cannot run AI Judge: set ${provider.keyEnv[0]} in .env, or use JUDGE_PROVIDER=local to play offline.`,
+      { provider: name, model },
+    );
+  }
+
+  const injections = { p1: checkInjection(inputs.p1), p2: checkInjection(inputs.p2) };
+  if (injections.p1 || injections.p2) return injectionVerdict(state, injections, names, { provider: name, model });
+
+  const ruleSet = getRuleSet(state.ruleSet);
+  const prompt = buildDuelPrompt(state, inputs, names);
+  const ctx = { mode: 'duel', apiKey, model, ruleSet, state, inputs, names };
+
+  let text;
+  try {
+    text = await callWithRetries(provider, name, prompt, ctx);
+  } catch (err) {
+    const short = shortError(err, provider);
+    console.error('AI Judge error:', short);
+    return wastedVerdict(short, `Judge error: ${short}`, { provider: name, model });
+  }
+  if (!text) {
+    return wastedVerdict('Model returned no content.', 'No response from the Judge. Try again.', { provider: name, model });
+  }
+  return { ...parseDuelOutput(text, ruleSet), raw: text, provider: name, model };
+}
+
+module.exports = {
+  SLOTS,
+  createDuelState,
+  applyDuelResult,
+  isDuelOver,
+  getDuelWinner,
+  playerView,
+  parseDuelOutput,
+  judgeDuelRound,
+};
@@ -1,36 +1,52 @@
 /**
  * ElevenLabs: Speech-to-Text (transcribe) and Text-to-Speech (speak).
  * Used by the optional voice mode so the user can talk and hear the Judge response.
+ * Every call takes an optional base URL, so the same client also talks to anything that
+ * implements the ElevenLabs HTTP contract (e.g. the local stand-in, server-speech-local.js).
  */
 
+const http = require('http');
 const https = require('https');
 const FormData = require('form-data');
 
-const STT_HOST = 'api.elevenlabs.io';
+const DEFAULT_BASE_URL = 'https://api.elevenlabs.io';
 const STT_PATH = '/v1/speech-to-text';
 const STT_MODEL = 'scribe_v2';
+const TTS_MODEL = 'eleven_turbo_v2_5';
 const DEFAULT_VOICE_ID = 'pNInz6obpgDQGcFmaJgB'; // Adam
 
+/** The real API needs a key; a custom base URL (stand-in, proxy) may not. */
+function checkKey(apiKey, baseUrl) {
+  if (!apiKey && baseUrl === DEFAULT_BASE_URL) throw new Error('ELEVENLABS_API_KEY is required');
+}
+
 /**
  * Transcribe audio buffer to text (ElevenLabs Scribe).
  * @param {Buffer} audioBuffer - Raw audio (WAV, MP3, WebM, etc.)
  * @param {string} apiKey - ELEVENLABS_API_KEY
  * @param {string} [mimeType='audio/webm'] - MIME type for the file
- * @returns {Promise<{ text: string }>}
+ * @param {object} [options] - { baseUrl } (default: https://api.elevenlabs.io)
+ * @returns {Promise<{ text: string, languageCode: string|null }>} languageCode: detected language (e.g. "spa")
  */
-function transcribe(audioBuffer, apiKey, mimeType = 'audio/webm') {
+function transcribe(audioBuffer, apiKey, mimeType = 'audio/webm', options = {}) {
   return new Promise((resolve, reject) => {
-    if (!apiKey) {
-      reject(new Error('ELEVENLABS_API_KEY is required'));
+    const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    try {
+      checkKey(apiKey, baseUrl);
+    } catch (err) {
+      reject(err);
       return;
     }
     const form = new FormData();
     form.append('file', audioBuffer, { filename: 'audio.webm', contentType: mimeType });
     form.append('model_id', STT_MODEL);
-    const headers = { ...form.getHeaders(), 'xi-api-key': apiKey };
+    const headers = { ...form.getHeaders(), ...(apiKey ? { 'xi-api-key': apiKey } : {}) };
 
-    const req = https.request(
-      { hostname: STT_HOST, path: STT_PATH, method: 'POST', headers },
+    const url = new URL(STT_PATH, baseUrl);
+    const client = url.protocol === 'http:' ? http : https;
+    const req = client.request(
+      url,
+      { method: 'POST', headers },
       (res) => {
         let body = '';
         res.on('data', (chunk) => { body += chunk; });
@@ -42,7 +58,7 @@ function transcribe(audioBuffer, apiKey, mimeType = 'audio/webm') {
           try {
             const data = JSON.parse(body);
             const text = (data && data.text) ? String(data.text).trim() : '';
-            resolve({ text });
+            resolve({ text, languageCode: (data && data.language_code) || null });
           } catch (e) {
             reject(e);
           }
@@ -55,27 +71,30 @@ function transcribe(audioBuffer, apiKey, mimeType = 'audio/webm') {
 }
 
 /**
- * Convert text to speech (ElevenLabs TTS). Returns audio as Buffer.
+ * Convert text to speech (ElevenLabs TTS).
  * @param {string} text - Text to speak
  * @param {string} apiKey - ELEVENLABS_API_KEY
  * @param {string} [voiceId] - Voice ID (default: Adam)
- * @returns {Promise<Buffer>}
+ * @param {object} [options] - { languageCode, baseUrl } languageCode: ISO 639-1 (e.g. "es") so the voice speaks that language
+ * @returns {Promise<{ audio: Buffer, mimeType: string }>} mimeType as sent by the server (audio/mpeg from ElevenLabs)
  */
-async function speak(text, apiKey, voiceId = DEFAULT_VOICE_ID) {
-  if (!apiKey) throw new Error('ELEVENLABS_API_KEY is required');
-  if (!text) return Buffer.alloc(0);
+async function synthesize(text, apiKey, voiceId = DEFAULT_VOICE_ID, options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  checkKey(apiKey, baseUrl);
+  if (!text) return { audio: Buffer.alloc(0), mimeType: 'audio/mpeg' };
 
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+  const url = new URL(`/v1/text-to-speech/${voiceId}`, baseUrl);
   const res = await fetch(url, {
     method: 'POST',
     headers: {
-      'xi-api-key': apiKey,
+      ...(apiKey ? { 'xi-api-key': apiKey } : {}),
       'Content-Type': 'application/json',
       Accept: 'audio/mpeg',
     },
     body: JSON.stringify({
       text,
-      model_id: 'eleven_turbo_v2_5',
+      model_id: TTS_MODEL,
+      ...(options.languageCode ? { language_code: options.languageCode } : {}),
     }),
   });
 
@@ -85,11 +104,28 @@ async function speak(text, apiKey, voiceId = DEFAULT_VOICE_ID) {
   }
 
   const arrayBuffer = await res.arrayBuffer();
-  return Buffer.from(arrayBuffer);
+  const mimeType = (res.headers.get('content-type') || 'audio/mpeg').split(';')[0];
+  return { audio: Buffer.from(arrayBuffer), mimeType };
+}
+
+/**
+ * Convert text to speech (ElevenLabs TTS). Returns audio as Buffer.
+ * @param {string} text - Text to speak
+ * @param {string} apiKey - ELEVENLABS_API_KEY
+ * @param {string} [voiceId] - Voice ID (default: Adam)
+ * @param {object} [options] - { languageCode, baseUrl }
+ * @returns {Promise<Buffer>}
+ */
+async function speak(text, apiKey, voiceId = DEFAULT_VOICE_ID, options = {}) {
+  return (await synthesize(text, apiKey, voiceId, options)).audio;
 }
 
 module.exports = {
   transcribe,
+  synthesize,
   speak,
+  DEFAULT_BASE_URL,
   DEFAULT_VOICE_ID,
+  STT_MODEL,
+  TTS_MODEL,
 };
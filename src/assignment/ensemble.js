@@ -0,0 +1,148 @@
+/**
+ * Ensemble judging: one round judged by several providers / models instead of one.
+ *   failover - members are tried in order until one judges without an error (rate limit, API
+ *              failure, missing key), so a Claude outage falls through to Gemini instead of
+ *              wasting the player's turn
+ *   vote     - every member judges the round in parallel; the verdict (status / move / round_winner)
+ *              most members agree on wins, ties going to the earlier member
+ * The result is the winning member's own result plus
+ *   ensemble: { mode, decidedBy: { provider, model }, disagreement, majority, votes: [{ provider, model, status, move, round_winner, error }] }
+ * Selection: options.ensemble ({ mode, members } or false) → JUDGE_ENSEMBLE / JUDGE_ENSEMBLE_MEMBERS env,
+ * unless the caller picked a provider explicitly. Members are "provider" or "provider:model".
+ */
+
+const { getProvider, listProviders } = require('./providers.js');
+const { incCounter } = require('./telemetry.js');
+
+const MODES = ['failover', 'vote'];
+const DEFAULT_MEMBERS = 'claude,gemini';
+
+/** "gemini:gemini-1.5-pro" → { provider, model } (model null = the provider's default). */
+function parseMember(member) {
+  if (member && typeof member === 'object') return { provider: member.provider, model: member.model || null };
+  const [provider, ...model] = String(member).trim().split(':');
+  return { provider, model: model.join(':') || null };
+}
+
+/**
+ * Ensemble settings, or null when ensemble judging is off.
+ * @param {object|false} [value] - { mode, members } (members: array or comma-separated list); false = off
+ * @param {object} [options] - { provider } an explicit provider turns the env ensemble off
+ * @throws {Error} On an unknown mode or provider, or fewer than two members
+ */
+function resolveEnsemble(value, { provider } = {}) {
+  if (value === false) return null;
+  const mode = (value && value.mode) || (provider ? null : process.env.JUDGE_ENSEMBLE);
+  if (!mode || mode === 'off') return null;
+  if (!MODES.includes(mode)) throw new Error(`Unknown judge ensemble mode "${mode}". Use one of: ${MODES.join(', ')}, off.`);
+  const list = (value && value.members) || process.env.JUDGE_ENSEMBLE_MEMBERS || DEFAULT_MEMBERS;
+  const members = (Array.isArray(list) ? list : String(list).split(',')).filter((m) => m && String(m).trim()).map(parseMember);
+  const unknown = members.find((m) => !getProvider(m.provider));
+  if (unknown) throw new Error(`Unknown judge provider "${unknown.provider}" in the ensemble. Use one of: ${listProviders().join(', ')}.`);
+  if (members.length < 2) throw new Error('A judge ensemble needs at least two members, e.g. claude,gemini.');
+  return { mode, members };
+}
+
+/** "claude, gemini:gemini-1.5-pro" for logs and banners. */
+function describeEnsemble(ensemble) {
+  const members = ensemble.members.map((m) => (m.model ? `${m.provider}:${m.model}` : m.provider)).join(', ');
+  return `${ensemble.mode} (${members})`;
+}
+
+/** "claude: error (rate limited) · gemini: VALID rock → user — decided by gemini; disagreement" */
+function describeVotes(info) {
+  const votes = info.votes.map((v) => {
+    const verdict = v.error ? `error (${v.error})` : `${v.status}${v.move ? ` ${v.move}` : ''} → ${v.round_winner || 'none'}`;
+    return `${v.provider}${v.model ? ` / ${v.model}` : ''}: ${verdict}`;
+  });
+  const decided = info.decidedBy ? `decided by ${info.decidedBy.provider}` : 'no member judged the round';
+  return `${votes.join(' · ')} — ${decided}${info.disagreement ? '; the judges disagreed' : ''}`;
+}
+
+function voteOf(result) {
+  return {
+    provider: result.provider,
+    model: result.model,
+    status: result.intent.status,
+    move: result.intent.move,
+    round_winner: result.round_winner,
+    error: result.error || null,
+  };
+}
+
+function verdictKey(vote) {
+  return `${vote.status}/${vote.move}/${vote.round_winner}`;
+}
+
+function count(mode, outcome) {
+  incCounter('rpsb_judge_ensemble_total', 'Ensemble rounds by mode and outcome.', { mode, outcome });
+}
+
+/** Failover: the first member that judges without an error decides. */
+async function failover(ensemble, judgeMember, options) {
+  const votes = [];
+  let result;
+  for (const member of ensemble.members) {
+    // Streaming goes to the member being tried; one that fails has not streamed a verdict.
+    result = await judgeMember(member, { onVerdict: options.onVerdict, onResponseChunk: options.onResponseChunk });
+    votes.push(voteOf(result));
+    if (!result.error) break;
+    console.error(`AI Judge ensemble: ${member.provider} failed (${result.error}), trying the next provider…`);
+  }
+  count('failover', result.error ? 'all_failed' : votes.length > 1 ? 'failed_over' : 'first');
+  return {
+    ...result,
+    ensemble: { mode: 'failover', decidedBy: { provider: result.provider, model: result.model }, disagreement: false, majority: !result.error, votes },
+  };
+}
+
+/** Majority vote over every member's verdict; members that errored do not vote. */
+async function vote(ensemble, judgeMember, options) {
+  const results = await Promise.all(ensemble.members.map((member) => judgeMember(member, {})));
+  const votes = results.map(voteOf);
+  const counted = results.filter((r) => !r.error);
+  if (!counted.length) {
+    count('vote', 'all_failed');
+    return { ...results[0], ensemble: { mode: 'vote', decidedBy: null, disagreement: false, majority: false, votes } };
+  }
+  const tally = new Map();
+  for (const r of counted) {
+    const key = verdictKey(voteOf(r));
+    tally.set(key, (tally.get(key) || 0) + 1);
+  }
+  const top = Math.max(...tally.values());
+  const winner = counted.find((r) => tally.get(verdictKey(voteOf(r))) === top); // ties: earliest member
+  const disagreement = tally.size > 1;
+  count('vote', disagreement ? 'disagreement' : 'agreed');
+
+  if (options.onVerdict) options.onVerdict({ intent: winner.intent, round_winner: winner.round_winner });
+  if (options.onResponseChunk) options.onResponseChunk(winner.response);
+  return {
+    ...winner,
+    ensemble: {
+      mode: 'vote',
+      decidedBy: { provider: winner.provider, model: winner.model },
+      disagreement,
+      majority: top * 2 > counted.length,
+      votes,
+    },
+  };
+}
+
+/**
+ * Judge one round with an ensemble.
+ * @param {object} ensemble - resolveEnsemble result
+ * @param {Function} judgeMember - (member, streamOptions) → Promise<judgeRound result> for that member
+ * @param {object} [options] - { onVerdict, onResponseChunk } streaming callbacks of the caller
+ */
+function judgeEnsemble(ensemble, judgeMember, options = {}) {
+  return ensemble.mode === 'failover' ? failover(ensemble, judgeMember, options) : vote(ensemble, judgeMember, options);
+}
+
+module.exports = {
+  MODES,
+  resolveEnsemble,
+  describeEnsemble,
+  describeVotes,
+  judgeEnsemble,
+};
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Judge evaluation harness: run a versioned golden dataset through normalizeMoveInput + judgeRound
+ * and report accuracy per category, a VALID/INVALID/UNCLEAR confusion matrix, and regressions
+ * against a saved baseline (eval/baselines/<provider>.json; <dataset>.<provider>.json for other datasets).
+ *
+ *   npm run eval                                  # offline local provider, whatever keys are set
+ *   npm run eval -- --provider claude             # real model
+ *   npm run eval -- --update-baseline             # save this run as the new baseline
+ *   npm run eval -- --template few-shot@1         # judge with another prompt template version
+ *   npm run eval:adversarial                      # prompt-injection suite (eval/adversarial.v1.json)
+ *
+ * Exit code 1 when a case that passed in the baseline now fails, or when there is no baseline to compare with.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createState } = require('./state.js');
+const { judgeRound } = require('./ai-judge.js');
+const { analyzeMoveInput } = require('./normalize-input.js');
+const { resolveProvider } = require('./providers.js');
+const { getDefaultCache } = require('./judge-cache.js');
+const { resolveTemplate, templateId } = require('./prompt-templates.js');
+
+const EVAL_DIR = path.join(__dirname, '..', '..', 'eval');
+const DEFAULT_DATASET = path.join(EVAL_DIR, 'judge-golden.v1.json');
+const DEFAULT_DATASET_NAME = 'judge-golden';
+const STATUSES = ['VALID', 'INVALID', 'UNCLEAR'];
+
+const USAGE = `Usage: node src/assignment/evaluate.js [options]
+
+Options:
+  --dataset <file>     Dataset JSON (default eval/judge-golden.v1.json)
+  --provider <name>    Judge provider (default: local, so a run does not depend on the keys set)
+  --model <id>         Model id for the provider
+  --template <id>      Prompt template, e.g. few-shot@1 (default: PROMPT_TEMPLATE env, else standard)
+  --baseline <file>    Baseline to compare with (default eval/baselines/<provider>.json, or
+                       <dataset name>.<provider>.json for another dataset)
+  --update-baseline    Write this run as the baseline
+  --verbose            Print every failing case
+  -h, --help           Show this help`;
+
+function loadJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** Case state on top of a fresh game state for the dataset's rule set. */
+function caseState(dataset, testCase) {
+  const base = createState(testCase.ruleSet || dataset.ruleSet);
+  const overrides = testCase.state || {};
+  return {
+    ...base,
+    ...overrides,
+    limitedUsed: { ...base.limitedUsed, ...overrides.limitedUsed },
+  };
+}
+
+/**
+ * Run every case of the dataset.
+ * @returns {Promise<Array<{ id, category, expected, actual, pass }>>}
+ */
+async function runDataset(dataset, judgeOptions = {}) {
+  const results = [];
+  for (const testCase of dataset.cases) {
+    const state = caseState(dataset, testCase);
+    const { input, match } = analyzeMoveInput(testCase.input, state.ruleSet);
+    const result = await judgeRound(state, input, testCase.botMove, { ...judgeOptions, hint: match });
+    const actual = {
+      status: result.intent.status,
+      move: result.intent.move,
+      round_winner: result.round_winner,
+    };
+    const { expected } = testCase;
+    const pass = actual.status === expected.status &&
+      actual.move === expected.move &&
+      actual.round_winner === expected.round_winner;
+    results.push({ id: testCase.id, category: testCase.category, expected, actual, reason: result.intent.reason, pass });
+  }
+  return results;
+}
+
+/** { category: { passed, total } } plus an "all" row. */
+function accuracyByCategory(results) {
+  const table = {};
+  for (const r of results) {
+    for (const key of [r.category, 'all']) {
+      table[key] = table[key] || { passed: 0, total: 0 };
+      table[key].total += 1;
+      if (r.pass) table[key].passed += 1;
+    }
+  }
+  return table;
+}
+
+/** confusion[expected][actual] counts over intent status. */
+function confusionMatrix(results) {
+  const matrix = {};
+  for (const expected of STATUSES) {
+    matrix[expected] = {};
+    for (const actual of STATUSES) matrix[expected][actual] = 0;
+  }
+  for (const r of results) {
+    if (matrix[r.expected.status] && r.actual.status in matrix[r.expected.status]) {
+      matrix[r.expected.status][r.actual.status] += 1;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Compare with a baseline: regressions = passed before, fail now; fixes = the reverse.
+ */
+function compareWithBaseline(results, baseline) {
+  const regressions = [];
+  const fixes = [];
+  for (const r of results) {
+    const before = baseline.results[r.id];
+    if (!before) continue;
+    if (before.pass && !r.pass) regressions.push(r);
+    if (!before.pass && r.pass) fixes.push(r);
+  }
+  return { regressions, fixes };
+}
+
+function pct(passed, total) {
+  return total ? `${((passed / total) * 100).toFixed(1)}%` : '—';
+}
+
+function formatVerdict(v) {
+  return `${v.status}/${v.move ?? '-'}/${v.round_winner ?? '-'}`;
+}
+
+function printReport(results, { dataset, provider, model, promptTemplate, comparison, verbose }) {
+  console.log(`--- Judge evaluation: ${dataset.name} v${dataset.version} · ${provider}${model ? ` / ${model}` : ''} · prompt ${promptTemplate} ---\n`);
+
+  const accuracy = accuracyByCategory(results);
+  console.log('Accuracy by category:');
+  for (const [category, { passed, total }] of Object.entries(accuracy)) {
+    if (category === 'all') continue;
+    console.log(`  ${category.padEnd(14)} ${String(passed).padStart(3)}/${String(total).padEnd(3)} ${pct(passed, total)}`);
+  }
+  console.log(`  ${'overall'.padEnd(14)} ${String(accuracy.all.passed).padStart(3)}/${String(accuracy.all.total).padEnd(3)} ${pct(accuracy.all.passed, accuracy.all.total)}\n`);
+
+  const matrix = confusionMatrix(results);
+  console.log('Intent status confusion (rows = expected, columns = actual):');
+  console.log(`  ${''.padEnd(9)}${STATUSES.map((s) => s.padStart(9)).join('')}`);
+  for (const expected of STATUSES) {
+    console.log(`  ${expected.padEnd(9)}${STATUSES.map((a) => String(matrix[expected][a]).padStart(9)).join('')}`);
+  }
+  console.log('');
+
+  if (verbose) {
+    for (const r of results.filter((x) => !x.pass)) {
+      console.log(`  FAIL ${r.id}: expected ${formatVerdict(r.expected)}, got ${formatVerdict(r.actual)} — ${r.reason}`);
+    }
+    console.log('');
+  }
+
+  if (!comparison) return;
+  if (comparison.mismatch) console.log(`Note: ${comparison.mismatch}`);
+  console.log(`Against baseline: ${comparison.regressions.length} regression(s), ${comparison.fixes.length} fix(es).`);
+  for (const r of comparison.regressions) {
+    console.log(`  REGRESSION ${r.id} (${r.category}): expected ${formatVerdict(r.expected)}, got ${formatVerdict(r.actual)} — ${r.reason}`);
+  }
+  for (const r of comparison.fixes) {
+    console.log(`  fixed ${r.id} (${r.category})`);
+  }
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        dataset: { type: 'string' },
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        template: { type: 'string' },
+        baseline: { type: 'string' },
+        'update-baseline': { type: 'boolean' },
+        verbose: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const dataset = loadJson(values.dataset || DEFAULT_DATASET);
+  const { name: provider, model } = resolveProvider({ provider: values.provider || 'local', model: values.model });
+  let promptTemplate;
+  try {
+    promptTemplate = templateId(resolveTemplate(values.template));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  const baselineName = dataset.name === DEFAULT_DATASET_NAME ? provider : `${dataset.name}.${provider}`;
+  const baselineFile = values.baseline || path.join(EVAL_DIR, 'baselines', `${baselineName}.json`);
+  const results = await runDataset(dataset, { provider, model: values.model, template: promptTemplate });
+
+  let comparison = null;
+  if (fs.existsSync(baselineFile)) {
+    const baseline = loadJson(baselineFile);
+    comparison = compareWithBaseline(results, baseline);
+    if (baseline.dataset !== dataset.name || baseline.version !== dataset.version) {
+      comparison.mismatch = `baseline was saved for ${baseline.dataset} v${baseline.version}; only shared case ids are compared.`;
+    } else if ((baseline.promptTemplate || 'standard@1') !== promptTemplate) {
+      comparison.mismatch = `baseline was judged with prompt ${baseline.promptTemplate || 'standard@1'}; this run uses ${promptTemplate}.`;
+    }
+  }
+  printReport(results, { dataset, provider, model, promptTemplate, comparison, verbose: values.verbose });
+  const cache = getDefaultCache();
+  if (cache) {
+    const { hits, misses, coalesced } = cache.stats();
+    console.log(`Judge cache: ${hits} hit(s), ${misses} miss(es), ${coalesced} coalesced.`);
+  }
+
+  if (values['update-baseline']) {
+    const baseline = {
+      dataset: dataset.name,
+      version: dataset.version,
+      provider,
+      model,
+      promptTemplate,
+      results: Object.fromEntries(results.map((r) => [r.id, { pass: r.pass, ...r.actual }])),
+    };
+    fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+    fs.writeFileSync(baselineFile, JSON.stringify(baseline, null, 2) + '\n');
+    console.log(`\nBaseline written to ${path.relative(process.cwd(), baselineFile)}.`);
+    process.exit(0);
+  }
+  if (!comparison) {
+    console.error(`\nNo baseline at ${path.relative(process.cwd(), baselineFile)} (save one with --update-baseline).`);
+    process.exit(1);
+  }
+  process.exit(comparison.regressions.length ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runDataset,
+  accuracyByCategory,
+  confusionMatrix,
+  compareWithBaseline,
+};
@@ -0,0 +1,148 @@
+/**
+ * Few-shot example library for the Judge prompt: curated user messages with the exact JSON the
+ * Judge should return, tagged by the failure case they teach (ambiguous, bomb-reuse, gibberish, ...).
+ * Prompt templates (prompt-templates.js) include examples by tag. Inputs deliberately differ from
+ * the golden eval dataset so the evaluation still measures generalization.
+ */
+
+/**
+ * Each example: { id, tags, requires, situation, input, botMove, output }
+ *   requires - moves the rule set must have (limited-use moves must be limited there)
+ *   situation - the round facts the example assumes, shown above the message
+ */
+const EXAMPLES = [
+  {
+    id: 'ambiguous-two-moves',
+    tags: ['ambiguous'],
+    requires: ['rock', 'paper'],
+    situation: 'Round 2, User 1 — Bot 0',
+    input: 'rock or maybe paper, not sure',
+    botMove: 'scissors',
+    output: {
+      intent: { status: 'UNCLEAR', move: null, reason: 'The message names two moves (rock and paper) without committing to one.' },
+      round_winner: null,
+      response: 'Round 2. Your move was unclear: you mentioned both rock and paper, so the turn is wasted. Score: User 1 – Bot 0. On to round 3.',
+    },
+  },
+  {
+    id: 'ambiguous-undecided',
+    tags: ['ambiguous'],
+    requires: ['paper', 'scissors'],
+    situation: 'Round 1, User 0 — Bot 0',
+    input: 'paper... no wait, scissors? hmm',
+    botMove: 'rock',
+    output: {
+      intent: { status: 'UNCLEAR', move: null, reason: 'The user changes their mind and ends on a question, so no final move is stated.' },
+      round_winner: null,
+      response: 'Round 1. Your move was unclear: you went back and forth between paper and scissors, so the turn is wasted. Score: User 0 – Bot 0. On to round 2.',
+    },
+  },
+  {
+    id: 'bomb-reuse-again',
+    tags: ['bomb-reuse'],
+    requires: ['bomb'],
+    situation: 'Round 3, User 1 — Bot 1, bomb uses left for the user: 0 of 1, the match ends after this round',
+    input: 'bomb again!',
+    botMove: 'rock',
+    output: {
+      intent: { status: 'INVALID', move: null, reason: 'Bomb can only be used once per game and the user has no uses left.' },
+      round_winner: null,
+      response: 'Round 3. Bomb was already used this game, so the move is invalid and the turn is wasted. Final score: User 1 – Bot 1. The match is a draw.',
+    },
+  },
+  {
+    id: 'bomb-reuse-phrased',
+    tags: ['bomb-reuse'],
+    requires: ['bomb'],
+    situation: 'Round 2, User 1 — Bot 0, bomb uses left for the user: 0 of 1',
+    input: 'I know I used it, but bomb one more time',
+    botMove: 'paper',
+    output: {
+      intent: { status: 'INVALID', move: null, reason: 'Bomb has 0 uses left for the user.' },
+      round_winner: null,
+      response: 'Round 2. You already used your bomb, so this move is invalid and the turn is wasted. Score: User 1 – Bot 0. On to round 3.',
+    },
+  },
+  {
+    id: 'gibberish-keyboard',
+    tags: ['gibberish'],
+    requires: [],
+    situation: 'Round 1, User 0 — Bot 0',
+    input: 'asdfgh qwerty',
+    botMove: 'paper',
+    output: {
+      intent: { status: 'INVALID', move: null, reason: 'The message is random characters and names no move.' },
+      round_winner: null,
+      response: 'Round 1. That is not a move, so the turn is wasted; the bot played paper. Score: User 0 – Bot 0. On to round 2.',
+    },
+  },
+  {
+    id: 'gibberish-off-topic',
+    tags: ['gibberish'],
+    requires: [],
+    situation: 'Round 2, User 0 — Bot 1',
+    input: 'what is the weather like today?',
+    botMove: 'rock',
+    output: {
+      intent: { status: 'INVALID', move: null, reason: 'The message is off-topic and names no move.' },
+      round_winner: null,
+      response: 'Round 2. That message is not a move, so the turn is wasted; the bot played rock. Score: User 0 – Bot 1. On to round 3.',
+    },
+  },
+  {
+    id: 'valid-casual',
+    tags: ['valid'],
+    requires: ['scissors', 'paper'],
+    situation: 'Round 1, User 0 — Bot 0',
+    input: "I'll go with the scissors this time",
+    botMove: 'paper',
+    output: {
+      intent: { status: 'VALID', move: 'scissors', reason: 'The user clearly picks scissors.' },
+      round_winner: 'user',
+      response: 'Round 1. You played scissors, the bot played paper. Scissors cut paper: you win the round. Score: User 1 – Bot 0. On to round 2.',
+    },
+  },
+];
+
+const TAGS = [...new Set(EXAMPLES.flatMap((e) => e.tags))];
+
+/** True when the rule set has every move the example needs (limited ones as limited). */
+function fitsRuleSet(example, ruleSet) {
+  return example.requires.every((m) => ruleSet.moves.includes(m) &&
+    (m !== 'bomb' || Boolean(ruleSet.limited[m])));
+}
+
+/**
+ * Examples for the given tags, in tag order, at most `perTag` each, skipping ones that do not
+ * fit the rule set (e.g. bomb examples for Rock–Paper–Scissors–Lizard–Spock).
+ * @throws {Error} On an unknown tag
+ */
+function selectExamples(tags, ruleSet, perTag = 1) {
+  const chosen = [];
+  for (const tag of tags) {
+    if (!TAGS.includes(tag)) throw new Error(`Unknown few-shot tag "${tag}". Use one of: ${TAGS.join(', ')}.`);
+    const matching = EXAMPLES.filter((e) => e.tags.includes(tag) && fitsRuleSet(e, ruleSet) && !chosen.includes(e));
+    chosen.push(...matching.slice(0, perTag));
+  }
+  return chosen;
+}
+
+/** "## Examples" prompt section, or '' when there are none. */
+function describeExamples(examples) {
+  if (!examples.length) return '';
+  const blocks = examples.map((e, i) => `### Example ${i + 1} (${e.tags.join(', ')})
+${e.situation}. User's message: "${e.input}". Bot's move: ${e.botMove}.
+${JSON.stringify(e.output)}`);
+  return `
+## Examples (for the format and edge cases only; the scores in them are not this game's)
+
+${blocks.join('\n\n')}
+`;
+}
+
+module.exports = {
+  EXAMPLES,
+  TAGS,
+  selectExamples,
+  describeExamples,
+};
@@ -0,0 +1,177 @@
+/**
+ * Fuzzy move matching for words the exact typo / vocabulary tables miss ("scizzors", "rokk")
+ * and speech-to-text mishearings ("rack", "bum", "pepper").
+ * Each word is scored against every move spelling (canonical, typos, locale words) by edit
+ * distance and by phonetic key; the rule set's soundsLike table adds known STT confusions.
+ * The result is a candidate move with a confidence in [0, 1] and the runner-up moves; callers
+ * only rewrite the input when the confidence clears the threshold and the runner-up is well behind.
+ */
+
+const { getRuleSet } = require('./rule-sets.js');
+const { localeVocabulary, getLocale, listLocales } = require('./locales.js');
+
+/** Confidence for a word the exact tables know (canonical move, typo, locale word). */
+const EXACT_CONFIDENCE = 1;
+/** Confidence for a known speech-to-text confusion (rule set soundsLike). */
+const SOUNDS_LIKE_CONFIDENCE = 0.85;
+/** Below this a candidate is not reported at all. */
+const MIN_CANDIDATE_CONFIDENCE = 0.65;
+/** Default threshold for rewriting the input (FUZZY_MIN_CONFIDENCE env). */
+const DEFAULT_MIN_CONFIDENCE = 0.85;
+/**
+ * Cap for a phonetic match, below the default threshold: one letter away from a short spelling
+ * is also where ordinary words live ("pope", "rick", "boom"), so sounding alike only flags.
+ */
+const PHONETIC_MAX_CONFIDENCE = 0.79;
+/** The best move must lead the runner-up by this much to be rewritten. */
+const MIN_MARGIN = 0.15;
+/** Shorter words are too ambiguous to match fuzzily ("go", "it"). */
+const MIN_FUZZY_LENGTH = 3;
+
+/** Levenshtein distance between two strings. */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Rough English phonetic key: similar-sounding spellings share a key
+ * ("rack" / "rock" → "RK", "scizzors" / "scissors" → "SRS", "bum" / "bomb" → "BM").
+ * Vowels after the first letter are dropped and repeated sounds collapsed.
+ */
+function phoneticKey(word) {
+  const w = String(word || '').toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/mb$/, 'm')
+    .replace(/sc(?=[eiy])/g, 's')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/ck|c|q|g/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/x/g, 'ks')
+    .replace(/v/g, 'f')
+    .replace(/([^aeiou])h/g, '$1');
+  if (!w) return '';
+  const [first, ...rest] = w;
+  const body = rest.join('').replace(/[aeiouyhw]/g, '');
+  const key = (/[aeiou]/.test(first) ? 'A' : first) + body;
+  return key.toUpperCase().replace(/(.)\1+/g, '$1');
+}
+
+/** Edit-distance similarity in [0, 1]. */
+function similarity(a, b) {
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Confidence that `word` means the move spelled `spelling`: edit similarity, raised when the
+ * two are already close and also sound alike (same phonetic key).
+ */
+function scoreSpelling(word, spelling) {
+  const edit = similarity(word, spelling);
+  const key = phoneticKey(word);
+  const phonetic = edit >= 0.5 && key && key === phoneticKey(spelling) ? Math.min(0.95 - 0.4 * (1 - edit), PHONETIC_MAX_CONFIDENCE) : 0;
+  return Math.max(edit, phonetic);
+}
+
+/** Every spelling of each move: canonical, typos and the locale words. */
+function spellingsOf(ruleSet, locale) {
+  const spellings = {};
+  for (const move of ruleSet.moves) spellings[move] = move;
+  return { ...localeVocabulary(locale, ruleSet.moves), ...ruleSet.typos, ...spellings };
+}
+
+/** Filler words in any locale ("I", "choose", "elijo"): never matched fuzzily. */
+function isStopword(word) {
+  return listLocales().some((id) => getLocale(id).stopwords.includes(word));
+}
+
+/**
+ * Best move per word of the input.
+ * @returns {Array<{ word, move, confidence, method }>} one entry per word with any candidate,
+ *   method = 'exact' | 'sounds-like' | 'fuzzy'
+ */
+function matchWords(raw, ruleSet, locale) {
+  const rs = getRuleSet(ruleSet);
+  const spellings = spellingsOf(rs, locale);
+  const words = String(raw || '').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  const matches = [];
+  for (const word of words) {
+    if (Object.hasOwn(spellings, word)) {
+      matches.push({ word, move: spellings[word], confidence: EXACT_CONFIDENCE, method: 'exact' });
+      continue;
+    }
+    if (Object.hasOwn(rs.soundsLike, word)) {
+      matches.push({ word, move: rs.soundsLike[word], confidence: SOUNDS_LIKE_CONFIDENCE, method: 'sounds-like' });
+      continue;
+    }
+    if (word.length < MIN_FUZZY_LENGTH || isStopword(word)) continue;
+    const best = {};
+    for (const [spelling, move] of Object.entries(spellings)) {
+      const confidence = scoreSpelling(word, spelling);
+      if (confidence > (best[move] || 0)) best[move] = confidence;
+    }
+    for (const [move, confidence] of Object.entries(best)) {
+      if (confidence >= MIN_CANDIDATE_CONFIDENCE) matches.push({ word, move, confidence, method: 'fuzzy' });
+    }
+  }
+  return matches;
+}
+
+/** Rewrite threshold: FUZZY_MIN_CONFIDENCE env, default 0.85. */
+function minConfidence() {
+  const value = Number(process.env.FUZZY_MIN_CONFIDENCE);
+  return value > 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Structured match for a player's message.
+ * @param {string} raw - Raw user input
+ * @param {string|object} [ruleSet] - Rule set id or object
+ * @param {string} [locale] - Locale id (see locales.js)
+ * @returns {{ move: string|null, confidence: number, alternatives: Array<{ move, confidence }>,
+ *   word: string|null, method: string|null, flagged: boolean, ambiguous: boolean }}
+ *   flagged = there is a candidate but it is too weak (or too close to another move) to rewrite;
+ *   ambiguous = another move scored about as high ("rock or paper" names two moves exactly).
+ *   Only a flagged match that is not exact is a guess about the spelling.
+ */
+function matchMove(raw, ruleSet, locale) {
+  const byMove = new Map();
+  for (const m of matchWords(raw, ruleSet, locale)) {
+    const current = byMove.get(m.move);
+    if (!current || m.confidence > current.confidence) byMove.set(m.move, m);
+  }
+  const ranked = [...byMove.values()].sort((a, b) => b.confidence - a.confidence);
+  if (!ranked.length) {
+    return { move: null, confidence: 0, alternatives: [], word: null, method: null, flagged: false, ambiguous: false };
+  }
+  const [best, ...rest] = ranked;
+  const margin = best.confidence - (rest[0] ? rest[0].confidence : 0);
+  return {
+    move: best.move,
+    confidence: round2(best.confidence),
+    alternatives: rest.map((m) => ({ move: m.move, confidence: round2(m.confidence) })),
+    word: best.word,
+    method: best.method,
+    flagged: best.confidence < minConfidence() || margin < MIN_MARGIN,
+    ambiguous: margin < MIN_MARGIN,
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  editDistance,
+  phoneticKey,
+  matchWords,
+  matchMove,
+  minConfidence,
+};
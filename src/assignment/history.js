@@ -0,0 +1,156 @@
+/**
+ * Match history: an append-only JSON-lines file with one event per line.
+ *   { type: 'match-start', matchId, at, source, ruleSet, bot, format, promptTemplate, inventory }
+ *   { type: 'round', matchId, at, round, userInput, normalizedInput, botMove, intent, round_winner, powerUps, response, raw, promptTemplate, ... }
+ *     (clarification set: the Judge asked which move the user meant and the round continues with their answer)
+ *   { type: 'undo', matchId, at, round, reason }  the match's last round event (and a match end) is rolled back
+ *   { type: 'match-end', matchId, at, userScore, botScore, finalResult }
+ * Lines are only ever appended, so a crash mid-game keeps every round judged so far.
+ * File: HISTORY_FILE env, default data/history.jsonl in the project root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', '..', 'data', 'history.jsonl');
+
+function historyFile() {
+  return process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE;
+}
+
+function createMatchId() {
+  return crypto.randomUUID();
+}
+
+async function appendEvent(event, file = historyFile()) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify({ ...event, at: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Append an event, logging instead of throwing: a full disk must not end the game.
+ */
+async function safeAppend(event, file) {
+  try {
+    await appendEvent(event, file);
+  } catch (err) {
+    console.error('History write failed:', err.message);
+  }
+}
+
+/**
+ * @param {string} matchId
+ * @param {object} info - { source, ruleSet, bot }
+ */
+function recordMatchStart(matchId, info, file) {
+  return safeAppend({ type: 'match-start', matchId, ...info }, file);
+}
+
+/**
+ * Record one judged round.
+ * @param {string} matchId
+ * @param {object} entry - { round, source, userInput, normalizedInput, botMove, result, clarification, userScore, botScore }
+ */
+function recordRound(matchId, entry, file) {
+  const { result, ...rest } = entry;
+  return safeAppend({
+    type: 'round',
+    matchId,
+    ...rest,
+    intent: result.intent,
+    round_winner: result.round_winner,
+    powerUps: result.powerUps || null,
+    response: result.response,
+    raw: result.raw,
+    provider: result.provider,
+    model: result.model,
+    promptTemplate: result.promptTemplate || null,
+    verification: result.verification || null,
+    ensemble: result.ensemble || null,
+  }, file);
+}
+
+/**
+ * Roll back the last recorded round event (rejudge): readers drop it, and the match end if there was one.
+ * @param {string} matchId
+ * @param {object} entry - { round, reason }
+ */
+function recordUndo(matchId, entry, file) {
+  return safeAppend({ type: 'undo', matchId, ...entry }, file);
+}
+
+/**
+ * @param {string} matchId
+ * @param {object} summary - { userScore, botScore, finalResult }
+ */
+function recordMatchEnd(matchId, summary, file) {
+  return safeAppend({ type: 'match-end', matchId, ...summary }, file);
+}
+
+/** All events in file order; unreadable lines are skipped. */
+async function readEvents(file = historyFile()) {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      // a torn last line after a crash; keep the rest
+    }
+  }
+  return events;
+}
+
+/** Group events into matches: { matchId, start, rounds, end }, oldest first. */
+function groupMatches(events) {
+  const matches = new Map();
+  for (const event of events) {
+    if (!event.matchId) continue;
+    if (!matches.has(event.matchId)) {
+      matches.set(event.matchId, { matchId: event.matchId, start: null, rounds: [], end: null });
+    }
+    const match = matches.get(event.matchId);
+    if (event.type === 'match-start') match.start = event;
+    else if (event.type === 'round') match.rounds.push(event);
+    else if (event.type === 'match-end') match.end = event;
+    else if (event.type === 'undo') {
+      match.rounds.pop();
+      match.end = null;
+    }
+  }
+  return [...matches.values()];
+}
+
+async function listMatches(file) {
+  return groupMatches(await readEvents(file));
+}
+
+/**
+ * Find one match by id or unique id prefix.
+ * @returns {Promise<object|null>}
+ */
+async function getMatch(idOrPrefix, file) {
+  const found = (await listMatches(file)).filter((m) => m.matchId.startsWith(idOrPrefix));
+  if (found.length > 1) throw new Error(`Match id "${idOrPrefix}" is ambiguous (${found.length} matches).`);
+  return found[0] || null;
+}
+
+module.exports = {
+  historyFile,
+  createMatchId,
+  recordMatchStart,
+  recordRound,
+  recordUndo,
+  recordMatchEnd,
+  readEvents,
+  listMatches,
+  getMatch,
+};
@@ -3,66 +3,320 @@
  * Assignment main: CLI game loop.
  * - Intent understanding + game logic + response generation are in the prompt (ai-judge).
  * - We only: get user input, pick bot move, call AI Judge, update minimal state, print.
- * No UI, no DB, no external APIs except Claude.
+ * No UI, no DB, no external APIs except the Judge provider (none when JUDGE_PROVIDER=local).
+ * Scripted mode: moves come from --moves <file> or piped stdin; --output json prints one JSON
+ * object per judged message (and nothing else on stdout) for automation. Exit codes: EXIT below.
  */
 
 require('dotenv').config();
-const readline = require('readline');
-const { createState, applyRoundResult, isGameOver, getFinalResult, TOTAL_ROUNDS } = require('./state.js');
-const { judgeRound } = require('./ai-judge.js');
-const { normalizeMoveInput } = require('./normalize-input.js');
+const fs = require('fs');
+const { createState, applyRoundResult, startClarification, isGameOver, getFinalResult } = require('./state.js');
+const { judgeRound, resolveMaxClarifications } = require('./ai-judge.js');
+const { resolveProvider, listProviders } = require('./providers.js');
+const { resolveEnsemble, describeEnsemble, describeVotes } = require('./ensemble.js');
+const { createLineInput } = require('./line-input.js');
+const { analyzeMoveInput } = require('./normalize-input.js');
+const { AUTO, resolveLocale, getLocale, localeForMessage } = require('./locales.js');
+const { getRuleSet, summarizeRules } = require('./rule-sets.js');
+const { chooseBotMove, chooseBotPowerUp, resolveStrategy, resolveSeed } = require('./bot-strategies.js');
+const { resolveInventory, inventoryOf, ruleSetOf, formatInventory } = require('./power-ups.js');
+const { parseCliArgs, USAGE } = require('./cli-args.js');
+const { createMatchId, recordMatchStart, recordRound, recordUndo, recordMatchEnd } = require('./history.js');
+const { saveSnapshot, loadSnapshot, listSnapshots, deleteSnapshot } = require('./snapshots.js');
+const { printMatchList, printReplay, printTemplateReport } = require('./replay.js');
+const { assignTemplate } = require('./prompt-templates.js');
+const { resolveFormat, describeFormat, isSuddenDeath } = require('./match-format.js');
+const { parseEntrants, runTournament, printLeaderboard } = require('./tournament.js');
 
-const BOT_CHOICES = ['rock', 'paper', 'scissors'];
+const REJUDGE_COMMANDS = ['rejudge', 'undo'];
+const OUTPUT_FORMATS = ['text', 'json'];
 
-function randomBotMove() {
-  return BOT_CHOICES[Math.floor(Math.random() * BOT_CHOICES.length)];
-}
+const EXIT = {
+  OK: 0, // match finished (or quit)
+  ERROR: 1, // unexpected failure
+  USAGE: 2, // bad flags or settings, or no match / saved game with the given id
+  INPUT_ENDED: 3, // scripted moves ran out before the match was over (the game is saved)
+  JUDGE_ERROR: 4, // the match finished, but the Judge failed on at least one message (API error)
+};
 
-function ask(question) {
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      rl.close();
-      resolve((answer || '').trim());
-    });
-  });
+/** One line of --output json: what automation needs about a judged message. */
+function roundRecord(matchId, round, entry, state, bot) {
+  const { userInput, normalizedInput, botMove, result, rejudged } = entry;
+  const over = isGameOver(state);
+  return {
+    matchId,
+    round,
+    userInput,
+    normalizedInput,
+    botMove: result.clarification ? null : botMove,
+    intent: result.intent,
+    round_winner: result.round_winner,
+    response: result.response,
+    clarification: result.clarification || null,
+    powerUps: result.powerUps || null,
+    rejudged: Boolean(rejudged),
+    userScore: state.userScore,
+    botScore: state.botScore,
+    gameOver: over,
+    finalResult: over ? getFinalResult(state) : null,
+    inventory: { user: formatInventory(state, 'user'), bot: bot.useLimited ? formatInventory(state, 'bot') : null },
+    provider: result.provider,
+    model: result.model,
+    ensemble: result.ensemble || null,
+    error: result.error || null,
+  };
 }
 
 async function main() {
-  console.log('--- Rock–Paper–Scissors–Bomb · AI Judge ---\n');
-  console.log(`Rules: Valid moves are rock, paper, scissors, bomb (bomb once only; bomb beats all).`);
-  console.log(`You have ${TOTAL_ROUNDS} rounds. Enter your move in free text.\n`);
-
-  let state = createState();
+  let flags;
+  let command;
+  let ruleSet;
+  let bot;
+  let format;
+  let locale;
+  let matchId;
+  let promptTemplate;
+  let clarify;
+  let inventory;
+  let judge;
+  let output;
+  let resumed = null;
+  try {
+    const args = parseCliArgs(process.argv.slice(2));
+    flags = args.values;
+    command = args.positionals;
+    ruleSet = getRuleSet();
+    bot = {
+      strategy: resolveStrategy(flags.bot),
+      useLimited: flags['bot-bomb'] ?? process.env.BOT_USE_LIMITED === 'true',
+      seed: resolveSeed(flags.seed),
+    };
+    format = resolveFormat({ type: flags.format, rounds: flags.rounds, suddenDeath: flags['sudden-death'] });
+    locale = resolveLocale(flags.locale);
+    matchId = createMatchId();
+    promptTemplate = assignTemplate(matchId, { template: flags.template });
+    clarify = resolveMaxClarifications(flags.clarify);
+    inventory = resolveInventory(flags.inventory, ruleSet);
+    const ensemble = flags.ensemble || flags.judges
+      ? { mode: flags.ensemble || process.env.JUDGE_ENSEMBLE || 'failover', members: flags.judges }
+      : undefined;
+    judge = { provider: flags.provider, model: flags.model, ensemble: resolveEnsemble(ensemble, { provider: flags.provider }) || false };
+    if (!resolveProvider(judge).provider) {
+      throw new Error(`Unknown judge provider "${resolveProvider(judge).name}". Use one of: ${listProviders().join(', ')}.`);
+    }
+    output = flags.output || 'text';
+    if (!OUTPUT_FORMATS.includes(output)) throw new Error(`Unknown output format "${output}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    if (flags.moves && flags.moves !== '-' && !fs.existsSync(flags.moves)) throw new Error(`Moves file not found: ${flags.moves}`);
+    if (flags.resume) {
+      resumed = await loadSnapshot(flags.resume, { filter: (s) => !isGameOver(s.state) });
+      if (!resumed) throw new Error(`No saved game "${flags.resume}" (list them with: npm start -- saved).`);
+      if (isGameOver(resumed.state)) throw new Error(`Game ${resumed.matchId} is already finished.`);
+      // A resumed game keeps the settings it was started with.
+      ({ matchId } = resumed);
+      ({ bot, locale, promptTemplate, clarify } = resumed.settings);
+      ruleSet = getRuleSet(resumed.state.ruleSet);
+      format = resumed.state.format;
+      inventory = inventoryOf(resumed.state);
+    }
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(EXIT.USAGE);
+  }
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(EXIT.OK);
+  }
+  if (command[0] === 'history' && !command[1]) {
+    await printMatchList();
+    process.exit(EXIT.OK);
+  }
+  if (command[0] === 'history' || command[0] === 'replay') {
+    if (!command[1]) {
+      console.error(`replay needs a match id.\n\n${USAGE}`);
+      process.exit(EXIT.USAGE);
+    }
+    process.exit((await printReplay(command[1])) ? EXIT.OK : EXIT.USAGE);
+  }
+  if (command[0] === 'saved') {
+    const saved = (await listSnapshots()).filter((s) => !isGameOver(s.state));
+    if (!saved.length) console.log('No saved games.');
+    for (const s of saved) {
+      console.log(`${s.matchId}  ${s.savedAt}  ${s.source}  ${s.state.ruleSet}  round ${s.state.round}  User ${s.state.userScore} – Bot ${s.state.botScore}`);
+    }
+    if (saved.length) console.log('\nResume one with: npm start -- --resume <matchId> (or --resume last)');
+    process.exit(EXIT.OK);
+  }
+  if (command[0] === 'prompts') {
+    await printTemplateReport();
+    process.exit(EXIT.OK);
+  }
+  if (command[0] === 'standings') {
+    await printLeaderboard();
+    process.exit(EXIT.OK);
+  }
+  const json = output === 'json';
+  const say = json ? () => {} : console.log; // prose goes to stdout only in text mode
+  const input = createLineInput({ file: flags.moves, echo: !json, promptStream: json ? process.stderr : process.stdout });
 
-  while (!isGameOver(state)) {
-    console.log(`--- Round ${state.round} (User ${state.userScore} – Bot ${state.botScore}) ---`);
-    const userInput = await ask('Your move (free text): ');
-    if (userInput.toLowerCase() === 'quit' || userInput.toLowerCase() === 'exit') {
-      console.log('Game ended.');
-      process.exit(0);
+  if (command[0] === 'tournament') {
+    let entrants;
+    try {
+      entrants = parseEntrants(flags.players);
+    } catch (err) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      process.exit(EXIT.USAGE);
     }
+    try {
+      await runTournament({
+        entrants,
+        bracket: flags.bracket,
+        ruleSet: ruleSet.id,
+        format,
+        botBomb: bot.useLimited,
+        askMove: async (entrant, duel) => (await input.ask(`${entrant.name}, round ${duel.round} — your move (free text): `)) ?? '',
+      });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(EXIT.USAGE);
+    }
+    process.exit(EXIT.OK);
+  }
+  if (command.length) {
+    console.error(`Unknown command "${command[0]}".\n\n${USAGE}`);
+    process.exit(EXIT.USAGE);
+  }
+  const { name: providerName, model } = resolveProvider(judge);
+  let state = resumed ? resumed.state : createState(ruleSet.id, format, inventory);
+  say(`--- ${ruleSet.name} · AI Judge ---\n`);
+  say(`Rules: ${summarizeRules(ruleSetOf(state))}`);
+  if (state.inventory) say(`Inventory (each player): ${Object.entries(inventory).map(([item, n]) => `${item} ×${n}`).join(', ')}. Play a power-up with a move, e.g. "rock with shield".`);
+  say(`Bot strategy: ${bot.strategy}${bot.useLimited ? ' (may use its own limited moves and power-ups)' : ''}${bot.seed !== null && bot.seed !== undefined ? `, seed ${bot.seed}` : ''}.`);
+  say(`Match: ${describeFormat(format)}. Enter your move in free text.`);
+  const judgeName = judge.ensemble ? `ensemble ${describeEnsemble(judge.ensemble)}` : `${providerName}${model ? ` / ${model}` : ''}`;
+  say(`Judge: ${judgeName}. Language: ${locale === AUTO ? 'detected from each move' : getLocale(locale).name}. Prompt: ${promptTemplate}.`);
+  if (clarify) say(`Unclear moves: the Judge asks which one you meant (up to ${clarify} time(s) a round).`);
+  say('Type "rejudge" to roll back the last round and judge it again, "quit" to save and stop.');
+  if (resumed) say(`Resuming game ${matchId} saved ${resumed.savedAt}.`);
+  say('');
+
+  let last = resumed ? resumed.last : null; // the last judged message, for rejudge
+  let judgeErrors = 0;
+  const settings = { bot, locale, promptTemplate, clarify };
+  if (!resumed) {
+    await recordMatchStart(matchId, { source: 'cli', ruleSet: ruleSet.id, bot, format, locale, promptTemplate, inventory: state.inventory || null });
+    await saveSnapshot({ matchId, source: 'cli', settings, state, last });
+  }
 
-    const botMove = randomBotMove();
-    const normalizedInput = normalizeMoveInput(userInput);
-    const result = await judgeRound(state, normalizedInput, botMove);
+  /** Judge one message, print the result, then record it and save the snapshot. */
+  async function playMessage(userInput, botMove, botPowerUp, rejudged) {
+    const roundLocale = localeForMessage(locale, userInput);
+    // with auto, move words of every locale count (players mix languages)
+    const { input: normalizedInput, match } = analyzeMoveInput(userInput, ruleSet, locale === AUTO ? AUTO : roundLocale);
+    if (match.flagged && match.method !== 'exact') {
+      const others = match.alternatives.map((a) => a.move).join(', ');
+      say(`[Not sure about "${match.word}": ${match.move}? (confidence ${match.confidence}${others ? `; or ${others}` : ''})]`);
+    }
+    let streamed = '';
+    const result = await judgeRound(state, normalizedInput, botMove, {
+      ...judge,
+      locale: roundLocale,
+      hint: match,
+      template: promptTemplate,
+      clarify,
+      botPowerUp,
+      cache: rejudged ? false : undefined, // a rejudge must not get the cached verdict back
+      onResponseChunk: json ? undefined : (chunk) => {
+        if (!streamed) process.stdout.write('\n');
+        streamed += chunk;
+        process.stdout.write(chunk);
+      },
+    });
 
-    console.log('\n' + result.response + '\n');
+    if (!streamed) say('\n' + result.response + '\n');
+    else if (streamed !== result.response) say(`\n\n${result.response}\n`); // re-judged or corrected after streaming
+    else say('\n');
     if (result.intent?.reason) {
-      console.log(`[Intent: ${result.intent.status} — ${result.intent.reason}]\n`);
+      say(`[Intent: ${result.intent.status} — ${result.intent.reason}]\n`);
+    }
+    if (result.verification && !result.verification.agreed) {
+      const how = result.verification.corrected ? 'corrected by the verifier' : `fixed after ${result.verification.rejudges} re-judge(s)`;
+      say(`[Verifier: ${result.verification.discrepancies.join(' ')} — ${how}]\n`);
+    }
+    const failedOver = result.ensemble?.votes.some((v) => v.error);
+    if (result.ensemble && (result.ensemble.disagreement || failedOver)) {
+      say(`[Ensemble: ${describeVotes(result.ensemble)}]\n`);
     }
 
-    state = applyRoundResult(state, result);
+    const before = state;
+    state = result.clarification ? startClarification(state, result, userInput, botMove, botPowerUp) : applyRoundResult(state, result, botMove);
+    last = { before, userInput, botMove, botPowerUp };
+    if (!result.clarification && Object.keys(inventoryOf(state)).length) {
+      const botItems = bot.useLimited ? ` · Bot: ${formatInventory(state, 'bot')}` : ''; // the bot spends none without --bot-bomb
+      say(`[Inventory — You: ${formatInventory(state, 'user')}${botItems}]\n`);
+    }
+    await recordRound(matchId, {
+      round: before.round,
+      userInput,
+      normalizedInput,
+      match,
+      locale: roundLocale,
+      botMove,
+      result,
+      clarification: state.clarification,
+      ...(rejudged ? { rejudged: true } : {}),
+      userScore: state.userScore,
+      botScore: state.botScore,
+    });
+    await saveSnapshot({ matchId, source: 'cli', settings, state, last });
+    if (result.error) judgeErrors += 1;
+    if (json) console.log(JSON.stringify(roundRecord(matchId, last.before.round, { userInput, normalizedInput, botMove, result, rejudged }, state, bot)));
+  }
+
+  while (!isGameOver(state)) {
+    const pending = state.clarification;
+    if (!pending) {
+      const label = isSuddenDeath(format, state.round) ? ', sudden death' : '';
+      say(`--- Round ${state.round}${label} (User ${state.userScore} – Bot ${state.botScore}) ---`);
+    }
+    const userInput = await input.ask(pending ? 'Your answer: ' : 'Your move (free text): ');
+    if (userInput === null) {
+      // End of input: Ctrl+D at the terminal is a quit; a script that runs out is an error.
+      console.error(`${input.scripted ? 'Moves ran out before the match was over. ' : ''}Game saved. Resume with: npm start -- --resume ${matchId}`);
+      process.exit(input.scripted ? EXIT.INPUT_ENDED : EXIT.OK);
+    }
+    if (userInput.toLowerCase() === 'quit' || userInput.toLowerCase() === 'exit') {
+      say(`Game saved. Resume with: npm start -- --resume ${matchId}`);
+      process.exit(EXIT.OK);
+    }
+    if (REJUDGE_COMMANDS.includes(userInput.toLowerCase())) {
+      if (!last) {
+        console.error('Nothing to rejudge yet.\n');
+        continue;
+      }
+      // Roll back to before the last message and judge it again against the same bot move.
+      say(`Rejudging round ${last.before.round}: "${last.userInput}"`);
+      await recordUndo(matchId, { round: last.before.round, reason: 'rejudge' });
+      state = last.before;
+      await playMessage(last.userInput, last.botMove, last.botPowerUp || null, true);
+      continue;
+    }
+    // The bot's move and power-up are held fixed while clarifying.
+    if (pending) await playMessage(userInput, pending.botMove, pending.botPowerUp || null, false);
+    else await playMessage(userInput, chooseBotMove(state, bot), chooseBotPowerUp(state, bot), false);
   }
 
   const final = getFinalResult(state);
-  console.log('--- Final result ---');
-  console.log(`Scores: User ${state.userScore} – Bot ${state.botScore}`);
-  console.log(final + '.\n');
-  process.exit(0);
+  await recordMatchEnd(matchId, { userScore: state.userScore, botScore: state.botScore, finalResult: final });
+  await deleteSnapshot(matchId);
+  say('--- Final result ---');
+  say(`Scores: User ${state.userScore} – Bot ${state.botScore}`);
+  say(final + '.\n');
+  say(`Match saved as ${matchId} (replay: npm run history -- ${matchId}).`);
+  if (judgeErrors) console.error(`The Judge failed on ${judgeErrors} message(s); see the history for the errors.`);
+  process.exit(judgeErrors ? EXIT.JUDGE_ERROR : EXIT.OK);
 }
 
 main().catch((err) => {
   console.error(err);
-  process.exit(1);
+  process.exit(EXIT.ERROR);
 });
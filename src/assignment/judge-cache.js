@@ -0,0 +1,205 @@
+/**
+ * Optional cache for Judge calls: the raw model output for a round is reused when everything
+ * that shapes the verdict is the same (see judgeCacheKey). Concurrent identical requests share
+ * one provider call. Only successful, non-empty outputs are stored; errors are never cached.
+ *
+ * Backends (JUDGE_CACHE env): "memory" (LRU, JUDGE_CACHE_MAX entries) or "file" (JSON lines
+ * at JUDGE_CACHE_FILE, default data/judge-cache.jsonl, survives restarts). Off when unset.
+ * Entries expire after JUDGE_CACHE_TTL_SEC seconds (default 3600).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PROMPT_VERSION, describeMatchHint } = require('./rules-and-prompt.js');
+const { formatOf, endingOutcomes } = require('./match-format.js');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', '..', 'data', 'judge-cache.jsonl');
+
+/**
+ * In-memory LRU: a Map kept in use order (oldest first), trimmed to maxEntries.
+ */
+function createMemoryBackend({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    size: () => entries.size,
+  };
+}
+
+/**
+ * File backend: entries are appended as JSON lines and indexed in memory on first use
+ * (latest line per key wins). The file is compacted on load when most of it is stale.
+ */
+function createFileBackend({ file = DEFAULT_CACHE_FILE } = {}) {
+  let index = null;
+
+  async function load() {
+    if (index) return index;
+    index = new Map();
+    let lines = [];
+    try {
+      lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const now = Date.now();
+    for (const line of lines) {
+      try {
+        const { key, ...entry } = JSON.parse(line);
+        if (entry.expiresAt > now) index.set(key, entry);
+        else index.delete(key);
+      } catch (e) {
+        // skip a torn last line
+      }
+    }
+    if (lines.length > 2 * index.size + 50) {
+      const body = [...index].map(([key, entry]) => JSON.stringify({ key, ...entry }) + '\n').join('');
+      await fs.promises.writeFile(file, body);
+    }
+    return index;
+  }
+
+  return {
+    name: 'file',
+    async get(key) {
+      return (await load()).get(key) || null;
+    },
+    async set(key, entry) {
+      (await load()).set(key, entry);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ key, ...entry }) + '\n');
+    },
+    async delete(key) {
+      (await load()).delete(key);
+    },
+    size: () => (index ? index.size : 0),
+  };
+}
+
+/**
+ * Cache key for one round: everything the Judge's output depends on.
+ * The response text states the scores and whether the match is over, so the scores and the
+ * round's stakes (the generalized "last round" flag) are part of the key; PROMPT_VERSION
+ * invalidates entries when the prompt changes. The locale picks the response language and the
+ * move matcher's hint, the prompt template ("name@version") and the clarification context
+ * (questions left, the pending question) are part of the prompt, and so are a custom inventory,
+ * the bot's charges and its power-up this round.
+ * @param {object} parts - { provider, model, state, userInput, botMove, botPowerUp, locale, hint, promptTemplate, clarify }
+ * @returns {string} sha256 hex
+ */
+function judgeCacheKey({ provider, model, state, userInput, botMove, botPowerUp, locale, hint, promptTemplate, clarify }) {
+  const format = formatOf(state);
+  const parts = {
+    promptVersion: PROMPT_VERSION,
+    provider,
+    model,
+    ruleSet: state.ruleSet,
+    input: String(userInput || '').trim().toLowerCase().replace(/\s+/g, ' '),
+    limitedUsed: state.limitedUsed,
+    botMove,
+    round: state.round,
+    scores: [state.userScore, state.botScore],
+    format,
+    endsOn: endingOutcomes(format, state.round, state.userScore, state.botScore),
+    locale: locale || 'en',
+    hint: describeMatchHint(hint),
+    promptTemplate: promptTemplate || 'standard@1',
+  };
+  // Only with clarification on, so keys for the default prompt stay the same.
+  if (clarify) parts.clarify = { remaining: clarify.remaining, pending: clarify.pending };
+  // Likewise only with a custom inventory (createState leaves state.inventory out for the default).
+  if (state.inventory) parts.inventory = { allowance: state.inventory, botLimitedUsed: state.botLimitedUsed, botPowerUp: botPowerUp || null };
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * @param {object} [options] - { backend, ttlMs }
+ */
+function createJudgeCache({ backend = createMemoryBackend(), ttlMs = DEFAULT_TTL_MS } = {}) {
+  const inflight = new Map();
+  const counters = { hits: 0, misses: 0, coalesced: 0 };
+
+  /**
+   * Cached value for `key`, or the result of `compute()` (stored when non-empty).
+   * A request arriving while the same key is being computed waits for that call.
+   * @returns {Promise<{ value: string, source: 'hit' | 'miss' | 'coalesced' }>}
+   */
+  async function getOrCompute(key, compute) {
+    const entry = await backend.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      counters.hits += 1;
+      return { value: entry.value, source: 'hit' };
+    }
+    if (entry) await backend.delete(key);
+
+    if (inflight.has(key)) {
+      counters.coalesced += 1;
+      return { value: await inflight.get(key), source: 'coalesced' };
+    }
+    counters.misses += 1;
+    const pending = (async () => {
+      const value = await compute();
+      if (value) await backend.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    })();
+    inflight.set(key, pending);
+    try {
+      return { value: await pending, source: 'miss' };
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  return {
+    getOrCompute,
+    stats: () => ({ backend: backend.name, ttlMs, ...counters, size: backend.size() }),
+  };
+}
+
+let defaultCache;
+
+/**
+ * The process-wide cache configured by the env (JUDGE_CACHE, JUDGE_CACHE_TTL_SEC,
+ * JUDGE_CACHE_MAX, JUDGE_CACHE_FILE), or null when caching is off.
+ */
+function getDefaultCache() {
+  if (defaultCache !== undefined) return defaultCache;
+  const kind = process.env.JUDGE_CACHE;
+  const ttlMs = Number(process.env.JUDGE_CACHE_TTL_SEC) * 1000 || DEFAULT_TTL_MS;
+  if (kind === 'memory') {
+    defaultCache = createJudgeCache({ backend: createMemoryBackend({ maxEntries: Number(process.env.JUDGE_CACHE_MAX) || DEFAULT_MAX_ENTRIES }), ttlMs });
+  } else if (kind === 'file') {
+    defaultCache = createJudgeCache({ backend: createFileBackend({ file: process.env.JUDGE_CACHE_FILE || DEFAULT_CACHE_FILE }), ttlMs });
+  } else {
+    if (kind && kind !== 'off') console.error(`Unknown JUDGE_CACHE "${kind}" (use memory, file or off); caching is off.`);
+    defaultCache = null;
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  createMemoryBackend,
+  createFileBackend,
+  createJudgeCache,
+  judgeCacheKey,
+  getDefaultCache,
+};
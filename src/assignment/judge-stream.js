@@ -0,0 +1,112 @@
+/**
+ * Incremental reading of the Judge's JSON verdict while it streams in.
+ * The output schema puts "intent" and "round_winner" before "response", so as soon as the
+ * "response" key shows up the verdict before it is complete and can be reported; the response
+ * string is then decoded chunk by chunk (JSON escapes included) as tokens arrive. A model that
+ * writes "response" first gets its verdict reported once the whole object has arrived.
+ * The full text is still parsed and validated by parseStructuredOutput at the end; these
+ * early values are only for showing progress.
+ */
+
+const RESPONSE_KEY = /(^|[^\\])"response"\s*:\s*"/;
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/** Parse the object text before the "response" key as a complete object, or null. */
+function parsePrefix(prefix) {
+  const start = prefix.indexOf('{');
+  if (start === -1) return null;
+  const body = prefix.slice(start).trim().replace(/,$/, '');
+  try {
+    return JSON.parse(`${body}}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+/** The whole object once its closing brace has arrived (fenced or not), or null. */
+function parseComplete(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+const isVerdict = (fields) => Boolean(fields) && 'intent' in fields && 'round_winner' in fields;
+
+/**
+ * @param {object} handlers - { onVerdict(obj), onResponse(textChunk) } (both optional)
+ *   onVerdict gets the raw verdict fields (e.g. { intent, round_winner }), once: those before
+ *   "response" when both are there, else every field but "response" from the finished object.
+ * @returns {{ push(chunk: string): void, text(): string }} push raw tokens; text() = everything pushed
+ */
+function createJudgeStream({ onVerdict, onResponse } = {}) {
+  let buffer = '';
+  let pos = -1; // index in buffer of the next undecoded response character; -1 until the key is seen
+  let done = false;
+  let verdictSent = false;
+
+  function sendVerdict(fields) {
+    verdictSent = true;
+    if (onVerdict) onVerdict(fields);
+  }
+
+  function decode() {
+    let out = '';
+    while (pos < buffer.length) {
+      const ch = buffer[pos];
+      if (ch === '"') {
+        done = true;
+        break;
+      }
+      if (ch !== '\\') {
+        out += ch;
+        pos += 1;
+        continue;
+      }
+      const next = buffer[pos + 1];
+      if (next === undefined) break; // escape split across chunks: wait for more
+      if (next === 'u') {
+        const hex = buffer.slice(pos + 2, pos + 6);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+        continue;
+      }
+      out += ESCAPES[next] ?? next;
+      pos += 2;
+    }
+    if (out && onResponse) onResponse(out);
+  }
+
+  return {
+    push(chunk) {
+      if (!chunk) return;
+      buffer += chunk;
+      if (pos === -1) {
+        const m = buffer.match(RESPONSE_KEY);
+        if (!m) return;
+        const keyStart = m.index + m[1].length;
+        pos = m.index + m[0].length;
+        const prefix = parsePrefix(buffer.slice(0, keyStart));
+        if (isVerdict(prefix)) sendVerdict(prefix);
+      }
+      if (!done) decode();
+      if (done && !verdictSent) {
+        const complete = parseComplete(buffer);
+        if (complete) {
+          const { response, ...fields } = complete;
+          sendVerdict(fields);
+        }
+      }
+    },
+    text: () => buffer,
+  };
+}
+
+module.exports = {
+  createJudgeStream,
+};
@@ -0,0 +1,71 @@
+/**
+ * Line input for the CLI: one readline interface for the whole run, over the terminal, piped
+ * stdin or a moves file. (A new interface per question loses piped lines: the first one reads
+ * ahead and its buffer goes away when it closes.)
+ * Scripted input (a file or non-TTY stdin) skips blank lines and "#" comments; the prompt and the
+ * line are echoed so a transcript reads like an interactive game (echo off for JSON output).
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * @param {object} [options] - { file, echo, promptStream }
+ *   file: path of a moves file, or "-" / absent for stdin
+ *   echo: write scripted prompts and lines to the prompt stream (default true)
+ *   promptStream: where prompts go (default stdout; stderr keeps JSON output clean)
+ * @returns {{ ask(question): Promise<string|null>, scripted: boolean, close() }} ask resolves null at end of input
+ */
+function createLineInput({ file, echo = true, promptStream = process.stdout } = {}) {
+  const fromFile = file && file !== '-';
+  const input = fromFile ? fs.createReadStream(file) : process.stdin;
+  const scripted = fromFile || !process.stdin.isTTY;
+  const rl = readline.createInterface({ input, output: scripted ? undefined : promptStream, terminal: !scripted });
+  const lines = [];
+  const waiting = [];
+  let ended = false;
+
+  rl.on('line', (line) => {
+    if (!scripted) {
+      lines.push(line.trim()); // typed ahead of the prompt; pending questions are answered by rl.question
+      return;
+    }
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return;
+    if (waiting.length) waiting.shift()(text);
+    else lines.push(text);
+  });
+  rl.on('close', () => {
+    ended = true;
+    while (waiting.length) waiting.shift()(null);
+  });
+  input.on('error', (err) => {
+    console.error(`Cannot read moves: ${err.message}`);
+    rl.close();
+  });
+
+  async function ask(question) {
+    if (!scripted) {
+      if (lines.length) return lines.shift();
+      if (ended) return null;
+      return new Promise((resolve) => {
+        waiting.push(resolve);
+        rl.question(question, (answer) => {
+          waiting.splice(waiting.indexOf(resolve), 1);
+          resolve((answer || '').trim());
+        });
+      });
+    }
+    let line = null;
+    if (lines.length) line = lines.shift();
+    else if (!ended) line = await new Promise((resolve) => waiting.push(resolve));
+    if (echo && line !== null) promptStream.write(`${question}${line}\n`);
+    return line;
+  }
+
+  return { ask, scripted, close: () => rl.close() };
+}
+
+module.exports = {
+  createLineInput,
+};
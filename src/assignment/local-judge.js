@@ -0,0 +1,200 @@
+/**
+ * Offline "local" Judge provider: resolves intent and round_winner from the rules in code.
+ * No network and no API key, so the CLI, the voice server and tests can run fully offline.
+ * It answers with the same JSON shape the models are asked for, so parsing stays identical.
+ */
+
+const { getRuleSet, compareMoves, usesLeft } = require('./rule-sets.js');
+const { formatOf, isMatchOver, isSuddenDeath } = require('./match-format.js');
+const { ruleSetOf, powerUpsOf, findPowerUps, chargesLeft, applyPowerUps } = require('./power-ups.js');
+
+/** Distinct valid moves mentioned in the message, in order of appearance. */
+function findMoves(text, ruleSet) {
+  const words = (text || '').toLowerCase().match(/[a-z]+/g) || [];
+  return [...new Set(words.filter((w) => ruleSet.moves.includes(w)))];
+}
+
+/**
+ * Intent understanding without a model: one distinct move → VALID, several → UNCLEAR,
+ * none (or a limited-use move with no uses left) → INVALID.
+ */
+function classifyIntent(userInput, state) {
+  const ruleSet = ruleSetOf(state);
+  const trimmed = (userInput || '').trim();
+  if (!trimmed) return { status: 'INVALID', move: null, reason: 'No move was given.' };
+
+  const moves = findMoves(trimmed, ruleSet);
+  if (moves.length === 0) {
+    return { status: 'INVALID', move: null, reason: `"${trimmed}" is not one of ${ruleSet.moves.join(', ')}.` };
+  }
+  if (moves.length > 1) {
+    return { status: 'UNCLEAR', move: null, reason: `The message mentions more than one move (${moves.join(', ')}).` };
+  }
+  if (usesLeft(ruleSet, state.limitedUsed, moves[0]) === 0) {
+    const max = ruleSet.limited[moves[0]];
+    return { status: 'INVALID', move: null, reason: `${moves[0][0].toUpperCase()}${moves[0].slice(1)} can only be used ${max === 1 ? 'once' : `${max} times`} per game.` };
+  }
+  return { status: 'VALID', move: moves[0], reason: `The message clearly names ${moves[0]}.` };
+}
+
+/**
+ * The power-up played with the move (intent.power_up), when the game has power-ups: named in the
+ * message (or, answering a clarifying question, in the earlier one). Two power-ups, or one with no
+ * charges left, make the move INVALID.
+ */
+function withPowerUp(intent, text, state) {
+  if (!powerUpsOf(state).length) return intent;
+  if (intent.status !== 'VALID') return { ...intent, power_up: null };
+  const found = findPowerUps(text, state);
+  if (found.length > 1) {
+    return { status: 'INVALID', move: null, power_up: null, reason: `Only one power-up per round (the message uses ${found.join(' and ')}).` };
+  }
+  if (found.length && chargesLeft(state, found[0]) === 0) {
+    return { status: 'INVALID', move: null, power_up: null, reason: `No ${found[0]} charges left.` };
+  }
+  return { ...intent, power_up: found[0] || null };
+}
+
+const ORDINALS = { first: 0, '1st': 0, 1: 0, second: 1, '2nd': 1, 2: 1, third: 2, '3rd': 2, 3: 2 };
+
+/**
+ * Intent for the answer to a clarifying question: a move named outright, else "the first one" /
+ * "the last one" picks from the candidates. An answer that still picks no move stays UNCLEAR.
+ */
+function classifyAnswer(userInput, state, pending) {
+  const intent = classifyIntent(userInput, state);
+  if (intent.status === 'VALID' || intent.status === 'UNCLEAR') return intent;
+  if (findMoves(userInput, ruleSetOf(state)).length) return intent; // a limited move with no uses left
+  const words = (userInput || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  const index = words.includes('last') ? pending.candidates.length - 1 : words.map((w) => ORDINALS[w]).find((i) => i !== undefined);
+  const move = pending.candidates[index];
+  if (move) return classifyIntent(move, state);
+  return { status: 'UNCLEAR', move: null, reason: `The answer does not pick one of ${pending.candidates.join(', ') || 'the moves'}.` };
+}
+
+/** "On to round N." (or sudden-death round N), or "" when the match ends with these scores. */
+function nextRound(state, a, b) {
+  const format = formatOf(state);
+  const next = state.round + 1;
+  if (isMatchOver(format, next, a, b)) return '';
+  return isSuddenDeath(format, next) ? ` Tied: on to sudden-death round ${next}.` : ` On to round ${next}.`;
+}
+
+/**
+ * "Score: User 1 – Bot 0. On to round 3." (or the final result) after this round.
+ * @param {string|null} roundWinner - After power-ups
+ * @param {number} [points] - What the round is worth (2 with a double)
+ */
+function describeNext(state, roundWinner, points = 1) {
+  const userScore = state.userScore + (roundWinner === 'user' ? points : 0);
+  const botScore = state.botScore + (roundWinner === 'bot' ? points : 0);
+  const scores = `Score: User ${userScore} – Bot ${botScore}.`;
+  const next = nextRound(state, userScore, botScore);
+  if (next) return `${scores}${next}`;
+  if (userScore > botScore) return `${scores} Final result: User wins.`;
+  if (botScore > userScore) return `${scores} Final result: Bot wins.`;
+  return `${scores} Final result: Draw.`;
+}
+
+/** " Power-ups: your shield — the round becomes a draw." for a decided round; "" without power-ups. */
+function describePowerUps(used, roundWinner, scored) {
+  const played = [used.user && `your ${used.user}`, used.bot && `the bot's ${used.bot}`].filter(Boolean);
+  if (!played.length) return '';
+  const effects = [];
+  if (scored.winner !== roundWinner) effects.push('the round becomes a draw');
+  if (scored.points > 1 && scored.winner !== 'draw') effects.push(`it is worth ${scored.points} points`);
+  return ` Power-ups: ${played.join(' and ')}${effects.length ? ` — ${effects.join(' and ')}` : ''}.`;
+}
+
+/**
+ * Judge one round deterministically.
+ * @param {object} [clarify] - { remaining, pending } when clarification is on (see ai-judge.js):
+ *   an UNCLEAR move gets a clarifying question while questions are left
+ * @param {string|null} [botPowerUp] - The bot's power-up this round
+ * @returns {{ intent, round_winner, response, clarification? }}
+ */
+function judgeLocally(state, userInput, botMove, clarify = null, botPowerUp = null) {
+  const pending = clarify && clarify.pending;
+  const classified = pending ? classifyAnswer(userInput, state, pending) : classifyIntent(userInput, state);
+  const intent = withPowerUp(classified, pending ? `${pending.input} ${userInput}` : userInput, state);
+  if (intent.status === 'UNCLEAR' && clarify && clarify.remaining > 0) {
+    const found = findMoves(userInput, ruleSetOf(state));
+    const candidates = found.length > 1 ? found : (pending ? pending.candidates : found);
+    const question = candidates.length
+      ? `Which one do you mean: ${candidates.join(' or ')}?`
+      : 'Which move do you mean?';
+    return {
+      intent,
+      round_winner: null,
+      clarification: { question, candidates },
+      response: `Round ${state.round}. ${intent.reason} ${question}`,
+    };
+  }
+  let roundWinner = null;
+  let outcome;
+  if (intent.status === 'VALID') {
+    roundWinner = compareMoves(ruleSetOf(state), intent.move, botMove);
+    const who = roundWinner === 'draw' ? 'It is a draw' : `${roundWinner === 'user' ? 'You win' : 'Bot wins'} the round`;
+    outcome = `You played ${intent.move}, bot played ${botMove}. ${who}.`;
+  } else {
+    outcome = `Your move was ${intent.status.toLowerCase()}: ${intent.reason} The turn is wasted.`;
+  }
+  const used = { user: intent.power_up || null, bot: roundWinner ? botPowerUp : null };
+  const scored = applyPowerUps(roundWinner, used);
+  const response = `Round ${state.round}. ${outcome}${describePowerUps(used, roundWinner, scored)} ${describeNext(state, scored.winner, scored.points)}`;
+  return { intent, round_winner: roundWinner, response };
+}
+
+/**
+ * Judge a two-player round deterministically (same JSON shape as the duel prompt asks for).
+ * @returns {{ player1, player2, round_winner, response }}
+ */
+function judgeDuelLocally(state, inputs, names) {
+  const ruleSet = getRuleSet(state.ruleSet);
+  const player1 = classifyIntent(inputs.p1, { ruleSet: state.ruleSet, limitedUsed: state.limitedUsed.p1 });
+  const player2 = classifyIntent(inputs.p2, { ruleSet: state.ruleSet, limitedUsed: state.limitedUsed.p2 });
+  let roundWinner = null;
+  let outcome;
+  if (player1.status === 'VALID' && player2.status === 'VALID') {
+    const winner = compareMoves(ruleSet, player1.move, player2.move);
+    roundWinner = { user: 'player1', bot: 'player2', draw: 'draw' }[winner];
+    const who = winner === 'draw' ? 'It is a draw' : `${winner === 'user' ? names.p1 : names.p2} wins the round`;
+    outcome = `${names.p1} played ${player1.move}, ${names.p2} played ${player2.move}. ${who}.`;
+  } else {
+    const wasted = [[names.p1, player1], [names.p2, player2]]
+      .filter(([, intent]) => intent.status !== 'VALID')
+      .map(([name, intent]) => `${name}'s move was ${intent.status.toLowerCase()} (${intent.reason})`);
+    outcome = `${wasted.join('; ')}. The turn is wasted.`;
+  }
+  return { player1, player2, round_winner: roundWinner, response: `Round ${state.round}. ${outcome} ${describeDuelNext(state, names, roundWinner)}` };
+}
+
+/** Two-player version of describeNext, with the players' names. */
+function describeDuelNext(state, names, roundWinner) {
+  const p1 = state.scores.p1 + (roundWinner === 'player1' ? 1 : 0);
+  const p2 = state.scores.p2 + (roundWinner === 'player2' ? 1 : 0);
+  const scores = `Score: ${names.p1} ${p1} – ${names.p2} ${p2}.`;
+  const next = nextRound(state, p1, p2);
+  if (next) return `${scores}${next}`;
+  return `${scores} Final result: ${p1 === p2 ? 'Draw' : `${p1 > p2 ? names.p1 : names.p2} wins`}.`;
+}
+
+module.exports = {
+  name: 'local',
+  keyEnv: [],
+  modelEnv: null,
+  defaultModel: 'rules',
+  async call(prompt, ctx) {
+    const verdict = ctx.mode === 'duel'
+      ? judgeDuelLocally(ctx.state, ctx.inputs, ctx.names)
+      : judgeLocally(ctx.state, ctx.userInput, ctx.botMove, ctx.clarify, ctx.botPowerUp);
+    const text = JSON.stringify(verdict);
+    if (ctx.onToken) ctx.onToken(text); // nothing to wait for: the whole verdict is one chunk
+    return { text, usage: null };
+  },
+  judgeLocally,
+  judgeDuelLocally,
+  classifyIntent,
+  describeNext,
+  describeDuelNext,
+};
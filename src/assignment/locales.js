@@ -0,0 +1,185 @@
+/**
+ * Player locales: move words and common misspellings per language, the language the Judge
+ * should answer in, and the TTS voice/language for that locale.
+ * Vocabulary maps a word to a canonical (English) move id; words for moves a rule set does not
+ * have are ignored. English move names and typos live in the rule set itself.
+ * Selection: CLI flag / request parameter → LOCALE env → en; "auto" detects the locale from
+ * the player's words (or the language reported by speech-to-text).
+ */
+
+const DEFAULT_LOCALE = 'en';
+const AUTO = 'auto';
+
+const locales = new Map();
+
+/**
+ * Add (or replace) a locale.
+ * @param {object} def - { id, name, language, vocabulary, stopwords, voiceEnv, sttCodes }
+ */
+function registerLocale(def) {
+  if (!def || !def.id || !def.language) throw new Error('A locale needs an id and a language');
+  const locale = { name: def.language, vocabulary: {}, stopwords: [], voiceEnv: null, sttCodes: [], ...def };
+  locales.set(locale.id, locale);
+  return locale;
+}
+
+function listLocales() {
+  return [...locales.keys()];
+}
+
+/**
+ * Validate a locale id (default: LOCALE env, then en). "auto" is passed through.
+ * @throws {Error} On an unknown locale
+ */
+function resolveLocale(id) {
+  const resolved = id || process.env.LOCALE || DEFAULT_LOCALE;
+  if (resolved === AUTO) return AUTO;
+  if (!locales.has(resolved)) {
+    throw new Error(`Unknown locale "${resolved}". Use one of: ${[...listLocales(), AUTO].join(', ')}.`);
+  }
+  return resolved;
+}
+
+function getLocale(id) {
+  return locales.get(id) || locales.get(DEFAULT_LOCALE);
+}
+
+/**
+ * Word → move map for normalizing input: the given locale's vocabulary plus English, so a
+ * Spanish player may still say "rock" but an English one's "roca" is not a move. With "auto"
+ * or no locale, every locale's vocabulary (players mix languages). Only words for moves in
+ * `moves` are kept.
+ */
+function localeVocabulary(localeId, moves) {
+  const sources = !localeId || localeId === AUTO
+    ? [...locales.values()]
+    : [getLocale(DEFAULT_LOCALE), getLocale(localeId)];
+  const vocabulary = {};
+  for (const locale of sources) {
+    for (const [word, move] of Object.entries(locale.vocabulary)) {
+      if (moves.includes(move)) vocabulary[word] = move;
+    }
+  }
+  return vocabulary;
+}
+
+/** Lower-cased words of a text (any script). */
+function wordsOf(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+}
+
+/**
+ * Guess the locale of a player's message from its move words and common function words.
+ * @param {string} text
+ * @param {string} [sttLanguage] - Language code reported by speech-to-text (e.g. "spa", "es"), preferred when known
+ * @returns {string|null} Locale id, or null when nothing points to a language
+ */
+function detectLocale(text, sttLanguage) {
+  if (sttLanguage) {
+    const code = String(sttLanguage).toLowerCase();
+    const byStt = [...locales.values()].find((l) => l.id === code || l.sttCodes.includes(code));
+    if (byStt) return byStt.id;
+  }
+  const words = wordsOf(text);
+  let best = null;
+  let bestScore = 0;
+  for (const locale of locales.values()) {
+    const score = words.filter((w) => Object.hasOwn(locale.vocabulary, w) || locale.stopwords.includes(w)).length;
+    if (score > bestScore) {
+      best = locale.id;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * The locale to use for one message: the chosen one, or detected when "auto" (en if unsure).
+ */
+function localeForMessage(localeId, text, sttLanguage) {
+  if (localeId !== AUTO) return localeId || DEFAULT_LOCALE;
+  return detectLocale(text, sttLanguage) || DEFAULT_LOCALE;
+}
+
+/** ElevenLabs voice id for the locale: its ELEVENLABS_VOICE_<ID> env, or null for the default voice. */
+function voiceFor(localeId) {
+  const locale = getLocale(localeId);
+  return (locale.voiceEnv && process.env[locale.voiceEnv]) || null;
+}
+
+registerLocale({
+  id: 'en',
+  name: 'English',
+  language: 'English',
+  stopwords: ['i', 'the', 'choose', 'pick', 'play', 'go', 'with', 'my', 'is'],
+  voiceEnv: 'ELEVENLABS_VOICE_EN',
+  sttCodes: ['eng'],
+});
+
+registerLocale({
+  id: 'es',
+  name: 'Español',
+  language: 'Spanish',
+  vocabulary: {
+    piedra: 'rock', roca: 'rock', pidra: 'rock', piedar: 'rock',
+    papel: 'paper', papél: 'paper', papl: 'paper', papal: 'paper',
+    tijera: 'scissors', tijeras: 'scissors', tigeras: 'scissors', tijeeras: 'scissors', tiejras: 'scissors',
+    bomba: 'bomb', bonba: 'bomb',
+    lagarto: 'lizard', lagartija: 'lizard',
+  },
+  stopwords: ['yo', 'elijo', 'escojo', 'quiero', 'juego', 'el', 'la', 'una', 'mi', 'con', 'voy'],
+  voiceEnv: 'ELEVENLABS_VOICE_ES',
+  sttCodes: ['spa'],
+});
+
+registerLocale({
+  id: 'hi',
+  name: 'हिन्दी',
+  language: 'Hindi',
+  vocabulary: {
+    // romanized (as typed or transcribed)
+    patthar: 'rock', pathar: 'rock', paththar: 'rock', patar: 'rock',
+    kagaz: 'paper', kaagaz: 'paper', kagad: 'paper', kagaj: 'paper', kaagaj: 'paper',
+    kainchi: 'scissors', kenchi: 'scissors', qainchi: 'scissors', kaichi: 'scissors', kenchee: 'scissors',
+    bam: 'bomb', bambh: 'bomb',
+    chipkali: 'lizard',
+    // Devanagari
+    'पत्थर': 'rock',
+    'कागज़': 'paper', 'कागज': 'paper', 'काग़ज़': 'paper',
+    'कैंची': 'scissors', 'कैची': 'scissors',
+    'बम': 'bomb',
+    'छिपकली': 'lizard',
+  },
+  stopwords: ['main', 'mera', 'meri', 'hai', 'chunta', 'chunti', 'hoon', 'hun', 'मैं', 'मेरा', 'है', 'चुनता', 'चुनती', 'हूँ'],
+  voiceEnv: 'ELEVENLABS_VOICE_HI',
+  sttCodes: ['hin'],
+});
+
+registerLocale({
+  id: 'fr',
+  name: 'Français',
+  language: 'French',
+  vocabulary: {
+    pierre: 'rock', caillou: 'rock', piere: 'rock', pierr: 'rock',
+    papier: 'paper', feuille: 'paper', papié: 'paper', papie: 'paper', feuile: 'paper',
+    ciseaux: 'scissors', ciseau: 'scissors', siseaux: 'scissors', ciseaus: 'scissors', cisaux: 'scissors',
+    bombe: 'bomb', bonbe: 'bomb',
+    lézard: 'lizard', lezard: 'lizard',
+  },
+  stopwords: ['je', 'choisis', 'joue', 'le', 'la', 'les', 'un', 'une', 'mon', 'avec', 'prends'],
+  voiceEnv: 'ELEVENLABS_VOICE_FR',
+  sttCodes: ['fra'],
+});
+
+module.exports = {
+  DEFAULT_LOCALE,
+  AUTO,
+  registerLocale,
+  listLocales,
+  resolveLocale,
+  getLocale,
+  localeVocabulary,
+  detectLocale,
+  localeForMessage,
+  voiceFor,
+};
@@ -0,0 +1,110 @@
+/**
+ * Match formats: how many rounds a match lasts and when it ends.
+ *   fixed      play exactly N rounds
+ *   best-of    up to N rounds; stops early once one side has clinched (lead > rounds left)
+ * With suddenDeath on, a match that is tied after its regular rounds continues one round at a time
+ * until a round has a winner (capped at MAX_SUDDEN_DEATH_ROUNDS; after that it is a draw).
+ * Format shape: { type: 'fixed' | 'best-of', rounds: number, suddenDeath: boolean }.
+ * Selection: CLI flags / request parameters → MATCH_FORMAT, MATCH_ROUNDS, SUDDEN_DEATH env → fixed 3.
+ * The helpers take the two scores as (a, b) so they serve both user-vs-bot and two-player matches.
+ */
+
+const FORMAT_TYPES = ['fixed', 'best-of'];
+const DEFAULT_ROUNDS = 3;
+const MAX_ROUNDS = 99;
+const MAX_SUDDEN_DEATH_ROUNDS = 5;
+const DEFAULT_FORMAT = Object.freeze({ type: 'fixed', rounds: DEFAULT_ROUNDS, suddenDeath: false });
+
+/**
+ * Build and validate a format; missing fields come from the env, then the defaults.
+ * @param {object} [options] - { type, rounds, suddenDeath }
+ * @throws {Error} On an unknown type or a bad round count
+ */
+function resolveFormat(options = {}) {
+  const type = options.type || process.env.MATCH_FORMAT || DEFAULT_FORMAT.type;
+  if (!FORMAT_TYPES.includes(type)) {
+    throw new Error(`Unknown match format "${type}". Use one of: ${FORMAT_TYPES.join(', ')}.`);
+  }
+  const rounds = Number(options.rounds ?? (process.env.MATCH_ROUNDS || DEFAULT_FORMAT.rounds));
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+    throw new Error(`Match rounds must be a whole number from 1 to ${MAX_ROUNDS}.`);
+  }
+  const suddenDeath = options.suddenDeath ?? process.env.SUDDEN_DEATH === 'true';
+  return { type, rounds, suddenDeath: Boolean(suddenDeath) };
+}
+
+/** Format of a game state (states created before formats existed play the default). */
+function formatOf(state) {
+  return state.format || DEFAULT_FORMAT;
+}
+
+/**
+ * Is the match over before `round` is played?
+ * @param {object} format
+ * @param {number} round - The next round to play (1-based)
+ * @param {number} a - Score of one side
+ * @param {number} b - Score of the other side
+ */
+function isMatchOver(format, round, a, b) {
+  const played = round - 1;
+  if (format.type === 'best-of' && Math.abs(a - b) > format.rounds - Math.min(played, format.rounds)) return true;
+  if (played < format.rounds) return false;
+  if (!format.suddenDeath || a !== b) return true;
+  return played >= format.rounds + MAX_SUDDEN_DEATH_ROUNDS;
+}
+
+function isSuddenDeath(format, round) {
+  return format.suddenDeath && round > format.rounds;
+}
+
+/**
+ * Which outcomes of `round` would end the match: any of 'a' (side a wins), 'b', 'none' (draw or wasted turn).
+ * @returns {string[]}
+ */
+function endingOutcomes(format, round, a, b) {
+  const outcomes = { a: [a + 1, b], b: [a, b + 1], none: [a, b] };
+  return Object.keys(outcomes).filter((k) => isMatchOver(format, round + 1, ...outcomes[k]));
+}
+
+/** e.g. "3 rounds", "best of 5 (sudden death on a tie)" */
+function describeFormat(format) {
+  const base = format.type === 'best-of'
+    ? `best of ${format.rounds}`
+    : `${format.rounds} round${format.rounds === 1 ? '' : 's'}`;
+  return format.suddenDeath ? `${base} (sudden death on a tie)` : base;
+}
+
+/**
+ * Prompt line telling the Judge whether this round can end the match, so the response
+ * announces the final result exactly when it should.
+ * @param {object} format
+ * @param {number} round - The round being judged
+ * @param {[string, string]} names - How the prompt refers to side a and side b
+ * @param {[number, number]} scores - [a, b]
+ */
+function describeRoundStakes(format, round, names, scores) {
+  const ending = endingOutcomes(format, round, ...scores);
+  const label = isSuddenDeath(format, round) ? ' (sudden-death tiebreak round)' : '';
+  let answer;
+  if (ending.length === 3) answer = 'Yes';
+  else if (ending.length === 0) answer = 'No';
+  else {
+    const when = { a: `${names[0]} wins this round`, b: `${names[1]} wins this round`, none: 'there is no round winner' };
+    answer = `Only if ${ending.map((k) => when[k]).join(' or ')}`;
+  }
+  return `- **Match format:** ${describeFormat(format)}${label}
+- **Does the match end after this round?** ${answer}`;
+}
+
+module.exports = {
+  FORMAT_TYPES,
+  DEFAULT_FORMAT,
+  MAX_SUDDEN_DEATH_ROUNDS,
+  resolveFormat,
+  formatOf,
+  isMatchOver,
+  isSuddenDeath,
+  endingOutcomes,
+  describeFormat,
+  describeRoundStakes,
+};
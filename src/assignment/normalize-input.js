@@ -2,78 +2,90 @@
  * Normalize user input for the conversational agent: fix common move misspellings
  * so the Judge can understand intent (e.g. "scissor" → "scissors").
  * This is spelling/typo correction only; game rules stay in the prompt.
+ * Moves and typos come from the rule set (default: RULE_SET env, then rpsb); move words in other
+ * languages ("piedra", "kagaz", "ciseaux") come from the locale's vocabulary (locales.js).
+ * Words the tables miss are matched fuzzily (fuzzy-match.js: edit distance, phonetic key, STT
+ * mishearings); only confident matches are rewritten, weak ones are flagged for the Judge.
  */
 
-const CANONICAL = ['rock', 'paper', 'scissors', 'bomb'];
+const { getRuleSet } = require('./rule-sets.js');
+const { localeVocabulary } = require('./locales.js');
+const { matchMove } = require('./fuzzy-match.js');
 
-/** Common misspellings → canonical move (lowercase). */
-const TYPO_MAP = {
-  // scissors
-  scissor: 'scissors',
-  scisors: 'scissors',
-  scisor: 'scissors',
-  sissors: 'scissors',
-  sissor: 'scissors',
-  // rock
-  roc: 'rock',
-  rok: 'rock',
-  rck: 'rock',
-  // paper
-  papper: 'paper',
-  pape: 'paper',
-  papr: 'paper',
-  paer: 'paper',
-  // bomb
-  bom: 'bomb',
-  bmb: 'bomb',
-  bome: 'bomb',
-};
+/** Moves and typos of the default rule set (Rock–Paper–Scissors–Bomb). */
+const CANONICAL = getRuleSet('rpsb').moves;
+const TYPO_MAP = getRuleSet('rpsb').typos;
+
+/** Word → canonical move: the rule set's typos plus the locale's move words. */
+function wordMap(ruleSet, locale) {
+  const { moves, typos } = getRuleSet(ruleSet);
+  return { ...localeVocabulary(locale, moves), ...typos };
+}
 
 /**
- * If the whole input is a known typo or canonical move, return canonical.
+ * If the whole input is a known typo, foreign move word or canonical move, return canonical.
  * Otherwise return input unchanged.
  */
-function normalizeExact(input) {
+function normalizeExact(input, ruleSet, locale) {
+  const { moves } = getRuleSet(ruleSet);
+  const words = wordMap(ruleSet, locale);
   const key = input.trim().toLowerCase();
   if (!key) return input;
-  if (TYPO_MAP[key]) return TYPO_MAP[key];
-  if (CANONICAL.includes(key)) return key;
+  if (Object.hasOwn(words, key)) return words[key];
+  if (moves.includes(key)) return key;
   return input;
 }
 
 /**
- * Replace whole-word typos in the string with canonical moves.
- * E.g. "I choose scissor" → "I choose scissors"
+ * Replace whole-word typos and foreign move words in the string with canonical moves.
+ * E.g. "I choose scissor" → "I choose scissors", "elijo piedra" → "elijo rock"
+ * Words are matched in any script (Latin with accents, Devanagari).
  */
-function normalizeWords(text) {
-  const words = text.split(/\b/);
-  return words
-    .map((w) => {
-      const key = w.toLowerCase();
-      if (TYPO_MAP[key]) return TYPO_MAP[key];
-      return w;
-    })
-    .join('');
+function normalizeWords(text, ruleSet, locale) {
+  const words = wordMap(ruleSet, locale);
+  return text.replace(/[\p{L}\p{M}]+/gu, (w) => {
+    const key = w.toLowerCase();
+    return Object.hasOwn(words, key) ? words[key] : w;
+  });
 }
 
 /**
- * Normalize user move input: fix spelling so the Judge understands intent.
- * - If the entire input is one word (typo or canonical), return that canonical move.
- * - Otherwise replace any known typo words in the phrase with canonical spelling.
+ * Normalize user move input and report how sure the match is.
+ * - If the entire input is one word (typo or canonical), it becomes that canonical move.
+ * - Otherwise known typo words in the phrase are replaced with canonical spelling.
+ * - A word only matched fuzzily ("scizzors", "rack") is replaced when the match is not flagged.
  * @param {string} raw - Raw user input
- * @returns {string} Normalized input to send to the Judge
+ * @param {string|object} [ruleSet] - Rule set id or object (default: RULE_SET env, then rpsb)
+ * @param {string} [locale] - Locale id whose move words to accept besides English (default / "auto": every locale)
+ * @returns {{ input: string, match: object }} input = text for the Judge; match = matchMove result
  */
-function normalizeMoveInput(raw) {
+function analyzeMoveInput(raw, ruleSet, locale) {
   const trimmed = (raw || '').trim();
-  if (!trimmed) return trimmed;
+  const match = matchMove(trimmed, ruleSet, locale);
+  if (!trimmed) return { input: trimmed, match };
 
   const singleWord = trimmed.split(/\s+/).length === 1;
-  if (singleWord) return normalizeExact(trimmed);
-  return normalizeWords(trimmed);
+  let input = singleWord ? normalizeExact(trimmed, ruleSet, locale) : normalizeWords(trimmed, ruleSet, locale);
+  if (match.method !== 'exact' && match.move && !match.flagged) {
+    input = input.replace(/[\p{L}\p{M}]+/gu, (w) => (w.toLowerCase() === match.word ? match.move : w));
+  }
+  return { input, match };
+}
+
+/**
+ * Normalize user move input: fix spelling so the Judge understands intent.
+ * @param {string} raw - Raw user input
+ * @param {string|object} [ruleSet] - Rule set id or object (default: RULE_SET env, then rpsb)
+ * @param {string} [locale] - Locale id whose move words to accept besides English (default / "auto": every locale)
+ * @returns {string} Normalized input to send to the Judge
+ */
+function normalizeMoveInput(raw, ruleSet, locale) {
+  return analyzeMoveInput(raw, ruleSet, locale).input;
 }
 
 module.exports = {
   normalizeMoveInput,
+  analyzeMoveInput,
   normalizeExact,
   TYPO_MAP,
   CANONICAL,
@@ -0,0 +1,199 @@
+/**
+ * Inventory: each player's limited-use items for one game. Items are the rule set's limited moves
+ * (bomb) and power-ups, which are played together with a move ("rock with my shield"):
+ *   shield - a round its player loses becomes a draw
+ *   double - the round is worth 2 points to whoever wins it
+ * The allowance (charges per player at the start of the game) is kept in the state as
+ * state.inventory, e.g. { bomb: 2, shield: 1, double: 1 }; what each side has spent is counted in
+ * state.limitedUsed / state.botLimitedUsed like the limited moves. A power-up is spent only in a
+ * round that is decided: an invalid or unclear move keeps it.
+ * Selection: CLI --inventory / request parameter → INVENTORY env → the rule set's limited moves, no power-ups.
+ * Spec: "bomb=2,shield=1,double=1" (a limited move's count replaces the rule set's; a power-up at 0 is not in play).
+ */
+
+const { getRuleSet } = require('./rule-sets.js');
+
+const MAX_CHARGES = 9;
+
+const powerUps = new Map();
+
+/**
+ * Add (or replace) a power-up.
+ * @param {object} def - { id, words, rule, effect(outcome, side) → outcome, botWhen }
+ *   words: what a player says to use it; rule: one line for the Judge prompt;
+ *   effect: changes { winner: 'user' | 'bot' | 'draw' | null, points } for the side that used it;
+ *   botWhen: 'behind' | 'not-behind', when the bot prefers it
+ */
+function registerPowerUp(def) {
+  if (!def || !def.id || typeof def.effect !== 'function') {
+    throw new Error('A power-up needs an id and an effect(outcome, side) function');
+  }
+  powerUps.set(def.id, { words: [def.id], botWhen: 'not-behind', ...def });
+  return def;
+}
+
+function getPowerUp(id) {
+  return powerUps.get(id) || null;
+}
+
+function listPowerUps() {
+  return [...powerUps.keys()];
+}
+
+const opponent = (side) => (side === 'user' ? 'bot' : 'user');
+
+registerPowerUp({
+  id: 'shield',
+  words: ['shield', 'shielded', 'block'],
+  rule: 'shield: a round lost by the player who used it becomes a draw.',
+  effect: (outcome, side) => (outcome.winner === opponent(side) ? { ...outcome, winner: 'draw' } : outcome),
+  botWhen: 'not-behind',
+});
+
+registerPowerUp({
+  id: 'double',
+  words: ['double', 'doubled', 'x2'],
+  rule: 'double: the round is worth 2 points to whoever wins it (both doubles: 4).',
+  effect: (outcome) => ({ ...outcome, points: outcome.points * 2 }),
+  botWhen: 'behind',
+});
+
+/**
+ * Allowance for a game: the rule set's limited moves, with the spec's counts and power-ups on top.
+ * @param {string|object} [spec] - "bomb=2,shield=1" or { bomb: 2, shield: 1 } (default: INVENTORY env)
+ * @param {string|object} [ruleSetId] - Rule set id or object
+ * @throws {Error} On an unknown item or a bad count
+ */
+function resolveInventory(spec, ruleSetId) {
+  const ruleSet = getRuleSet(ruleSetId);
+  const value = spec ?? process.env.INVENTORY;
+  const entries = value && typeof value === 'object'
+    ? Object.entries(value)
+    : String(value || '').split(',').filter((part) => part.trim()).map((part) => part.split('=').map((s) => s.trim()));
+  const inventory = { ...ruleSet.limited };
+  for (const [item, count] of entries) {
+    if (!ruleSet.limited[item] && !powerUps.has(item)) {
+      const known = [...Object.keys(ruleSet.limited), ...listPowerUps()];
+      throw new Error(`Unknown inventory item "${item}". Use one of: ${known.join(', ')}.`);
+    }
+    const n = Number(count ?? 1);
+    const min = ruleSet.limited[item] ? 1 : 0; // a limited move stays in the game
+    if (!Number.isInteger(n) || n < min || n > MAX_CHARGES) {
+      throw new Error(`Inventory count for ${item} must be a whole number from ${min} to ${MAX_CHARGES}.`);
+    }
+    inventory[item] = n;
+  }
+  return inventory;
+}
+
+/** Allowance of a game state (states created before inventories existed have the rule set's). */
+function inventoryOf(state) {
+  return state.inventory || getRuleSet(state.ruleSet).limited;
+}
+
+/**
+ * The game's rule set with the inventory's counts for its limited moves, so usesLeft, the prompt
+ * rules and the bot see them. The registered rule set itself when the counts are the default.
+ */
+function ruleSetOf(state) {
+  const ruleSet = getRuleSet(state.ruleSet);
+  if (!state.inventory) return ruleSet;
+  const limited = {};
+  for (const move of Object.keys(ruleSet.limited)) limited[move] = state.inventory[move] ?? ruleSet.limited[move];
+  return Object.keys(limited).every((m) => limited[m] === ruleSet.limited[m]) ? ruleSet : { ...ruleSet, limited };
+}
+
+/** Power-ups in play this game (a charge for each player at the start). */
+function powerUpsOf(state) {
+  const inventory = inventoryOf(state);
+  return Object.keys(inventory).filter((item) => powerUps.has(item) && inventory[item] > 0);
+}
+
+/**
+ * Charges of a limited move or power-up left for one side; Infinity for an ordinary move.
+ * @param {object} state - Game state (or a duel player's view of it: { ruleSet, limitedUsed })
+ * @param {string} item
+ * @param {'user'|'bot'} [side]
+ */
+function chargesLeft(state, item, side = 'user') {
+  const inventory = inventoryOf(state);
+  if (!(item in inventory) && !powerUps.has(item)) return Infinity;
+  const used = (side === 'bot' ? state.botLimitedUsed : state.limitedUsed) || {};
+  return Math.max(0, (inventory[item] || 0) - (used[item] || 0));
+}
+
+/**
+ * Charges left per side: { user: { bomb: { left, max } }, bot: { ... } }.
+ * @param {object} [options] - { bot: false } when the bot does not spend items (bot: null then)
+ */
+function describeInventory(state, { bot = true } = {}) {
+  const inventory = inventoryOf(state);
+  const view = { user: {}, bot: bot ? {} : null };
+  for (const side of bot ? ['user', 'bot'] : ['user']) {
+    for (const item of Object.keys(inventory)) view[side][item] = { left: chargesLeft(state, item, side), max: inventory[item] };
+  }
+  return view;
+}
+
+/** "bomb 1/1, shield 0/1" for one side, for banners and the CLI. */
+function formatInventory(state, side = 'user') {
+  const view = describeInventory(state)[side];
+  return Object.entries(view).map(([item, { left, max }]) => `${item} ${left}/${max}`).join(', ') || 'nothing';
+}
+
+/** Power-ups named in a message, among those in play (used by the offline Judge). */
+function findPowerUps(text, state) {
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return powerUpsOf(state).filter((id) => powerUps.get(id).words.some((w) => words.includes(w)));
+}
+
+/**
+ * Score a decided round: the moves' winner, then each side's power-up in turn.
+ * @param {string|null} roundWinner - From the moves alone (null = turn wasted)
+ * @param {object} [used] - { user, bot } power-up ids (or null)
+ * @returns {{ winner: string|null, points: number }}
+ */
+function applyPowerUps(roundWinner, used = {}) {
+  let outcome = { winner: roundWinner, points: 1 };
+  if (roundWinner === null) return outcome;
+  for (const side of ['user', 'bot']) {
+    const powerUp = used[side] && powerUps.get(used[side]);
+    if (powerUp) outcome = powerUp.effect(outcome, side);
+  }
+  return outcome;
+}
+
+/**
+ * The power-up section of the Judge prompt; empty when none are in play, so the default prompt is unchanged.
+ */
+function describePowerUpRules(state) {
+  const ids = powerUpsOf(state);
+  if (!ids.length) return '';
+  const lines = ids.map((id) => {
+    const { words, rule } = powerUps.get(id);
+    return `   - ${rule} The player says so with their move (e.g. "rock with ${words[0]}").`;
+  });
+  return `
+5. **Power-ups** (each side has limited charges; at most one per side per round, played together with a move):
+${lines.join('\n')}
+   - Set intent.power_up to the power-up the user plays, or null. A power-up with 0 charges left → INVALID (turn wasted).
+   - round_winner is decided by the two moves alone. The power-ups only change the score: say in the response what they did and give the scores after them.
+`;
+}
+
+module.exports = {
+  MAX_CHARGES,
+  registerPowerUp,
+  getPowerUp,
+  listPowerUps,
+  resolveInventory,
+  inventoryOf,
+  ruleSetOf,
+  powerUpsOf,
+  chargesLeft,
+  describeInventory,
+  formatInventory,
+  findPowerUps,
+  applyPowerUps,
+  describePowerUpRules,
+};
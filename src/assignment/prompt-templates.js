@@ -0,0 +1,121 @@
+/**
+ * Named, versioned Judge prompt templates. A template id is "<name>@<version>" (e.g. "few-shot@1");
+ * a bare name means its latest version. Templates share the rules / schema / task text of
+ * rules-and-prompt.js and differ in what they add, for now which few-shot examples (few-shot.js).
+ * Never change a registered version in place: register a new version so recorded rounds stay comparable.
+ *
+ * Selection per game: options / --template → PROMPT_AB experiment (deterministic by game id) →
+ * PROMPT_TEMPLATE env → standard. The id is recorded with every judged round.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TEMPLATE = 'standard';
+
+const templates = new Map();
+
+function templateId(template) {
+  return `${template.name}@${template.version}`;
+}
+
+/**
+ * Add a template version.
+ * @param {object} def - { name, version, description, fewShotTags, examplesPerTag }
+ */
+function registerTemplate(def) {
+  if (!def || !def.name || !Number.isInteger(def.version) || def.version < 1) {
+    throw new Error('A prompt template needs a name and a positive integer version');
+  }
+  const template = { description: '', fewShotTags: [], examplesPerTag: 1, ...def };
+  templates.set(templateId(template), template);
+  return template;
+}
+
+function listTemplates() {
+  return [...templates.keys()];
+}
+
+/**
+ * Look up a template by "name@version" or by name (latest version).
+ * Defaults to PROMPT_TEMPLATE env, then standard.
+ * @throws {Error} On an unknown template
+ */
+function resolveTemplate(id) {
+  const wanted = id || process.env.PROMPT_TEMPLATE || DEFAULT_TEMPLATE;
+  if (templates.has(wanted)) return templates.get(wanted);
+  const versions = [...templates.values()].filter((t) => t.name === wanted);
+  if (!versions.length) {
+    throw new Error(`Unknown prompt template "${wanted}". Use one of: ${listTemplates().join(', ')}.`);
+  }
+  return versions.reduce((a, b) => (b.version > a.version ? b : a));
+}
+
+/**
+ * Parse an A/B spec: "standard@1,few-shot@1" (equal split) or "standard@1=70,few-shot@1=30".
+ * @returns {Array<{ id: string, weight: number }>} resolved template ids with weights
+ * @throws {Error} On an unknown template or a bad weight
+ */
+function parseAbSpec(spec) {
+  const arms = String(spec || '').split(',').map((s) => s.trim()).filter(Boolean).map((arm) => {
+    const [name, weight = '1'] = arm.split('=');
+    const w = Number(weight);
+    if (!(w > 0)) throw new Error(`Bad weight "${weight}" for prompt template "${name}" in PROMPT_AB.`);
+    return { id: templateId(resolveTemplate(name.trim())), weight: w };
+  });
+  if (arms.length < 2) throw new Error('PROMPT_AB needs at least two templates, e.g. standard@1,few-shot@1.');
+  return arms;
+}
+
+/**
+ * Template id for one game: the explicit choice, else the game's A/B arm, else the default.
+ * The same game id always gets the same arm.
+ * @param {string} gameId - Match id (or any stable per-game id)
+ * @param {object} [options] - { template, ab } (ab default: PROMPT_AB env)
+ * @returns {string} "<name>@<version>"
+ */
+function assignTemplate(gameId, options = {}) {
+  if (options.template) return templateId(resolveTemplate(options.template));
+  const spec = options.ab ?? process.env.PROMPT_AB;
+  if (!spec) return templateId(resolveTemplate());
+  const arms = parseAbSpec(spec);
+  const total = arms.reduce((sum, a) => sum + a.weight, 0);
+  const hash = crypto.createHash('sha256').update(String(gameId)).digest().readUInt32BE(0);
+  let point = (hash / 0x100000000) * total;
+  for (const arm of arms) {
+    if (point < arm.weight) return arm.id;
+    point -= arm.weight;
+  }
+  return arms[arms.length - 1].id;
+}
+
+registerTemplate({
+  name: 'standard',
+  version: 1,
+  description: 'Rules, output schema, round facts and the three-step task; no examples.',
+});
+
+registerTemplate({
+  name: 'few-shot',
+  version: 1,
+  description: 'Standard prompt plus one example each for ambiguous input, bomb reuse and gibberish.',
+  fewShotTags: ['ambiguous', 'bomb-reuse', 'gibberish'],
+  examplesPerTag: 1,
+});
+
+registerTemplate({
+  name: 'few-shot',
+  version: 2,
+  description: 'Standard prompt plus two examples each for ambiguous input, bomb reuse and gibberish, and one clear move.',
+  fewShotTags: ['ambiguous', 'bomb-reuse', 'gibberish', 'valid'],
+  examplesPerTag: 2,
+});
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  templateId,
+  registerTemplate,
+  listTemplates,
+  resolveTemplate,
+  parseAbSpec,
+  assignTemplate,
+};
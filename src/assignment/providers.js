@@ -0,0 +1,142 @@
+/**
+ * Judge providers: every backend the AI Judge can call implements the same interface.
+ *   { name, keyEnv: string[], modelEnv, defaultModel, call(prompt, ctx) }
+ * `call` resolves to { text, usage } where `text` is the raw model output (the JSON verdict).
+ * `ctx` carries { apiKey, model, ruleSet, state, userInput, botMove, locale } so offline
+ * providers can judge without reading the prompt. Two-player rounds set ctx.mode = 'duel' and
+ * pass { inputs, names } instead of userInput / botMove. When ctx.onToken is set the provider
+ * streams: it calls onToken(textChunk) as tokens arrive and still resolves to the full text.
+ * Selection: options.provider → JUDGE_PROVIDER → first provider whose key is set → local.
+ */
+
+const localProvider = require('./local-judge.js');
+
+const MAX_TOKENS = 1024;
+
+/** System instruction for chat-style providers, named after the game being judged. */
+function systemPrompt(ruleSet) {
+  const game = ruleSet ? ruleSet.name : 'Rock–Paper–Scissors–Bomb';
+  return `You are an AI Judge for a ${game} game. Reply with only valid JSON, no markdown or extra text.`;
+}
+
+const providers = new Map();
+
+/**
+ * Call Claude and return raw text (streamed to ctx.onToken when set).
+ */
+async function callClaude(prompt, ctx) {
+  const Anthropic = require('@anthropic-ai/sdk');
+  const client = new Anthropic({ apiKey: ctx.apiKey });
+  const params = {
+    model: ctx.model,
+    max_tokens: MAX_TOKENS,
+    system: systemPrompt(ctx.ruleSet),
+    messages: [{ role: 'user', content: prompt }],
+  };
+  const message = ctx.onToken
+    ? await client.messages.stream(params).on('text', ctx.onToken).finalMessage()
+    : await client.messages.create(params);
+  const textBlock = message.content && message.content.find((block) => block.type === 'text');
+  const usage = message.usage
+    ? { inputTokens: message.usage.input_tokens, outputTokens: message.usage.output_tokens }
+    : null;
+  return { text: (textBlock && textBlock.text ? textBlock.text : '').trim(), usage };
+}
+
+/**
+ * Call Gemini and return raw text (streamed to ctx.onToken when set).
+ */
+async function callGemini(prompt, ctx) {
+  const { GoogleGenerativeAI } = await import('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(ctx.apiKey);
+  const model = genAI.getGenerativeModel({ model: ctx.model });
+  let response;
+  if (ctx.onToken) {
+    const result = await model.generateContentStream(prompt);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) ctx.onToken(text);
+    }
+    response = await result.response;
+  } else {
+    response = (await model.generateContent(prompt)).response;
+  }
+  const meta = response?.usageMetadata;
+  const usage = meta
+    ? { inputTokens: meta.promptTokenCount, outputTokens: meta.candidatesTokenCount }
+    : null;
+  return { text: (response?.text?.() ?? response?.text ?? '').trim(), usage };
+}
+
+/**
+ * Add (or replace) a provider in the registry.
+ * @param {object} provider - { name, keyEnv, modelEnv, defaultModel, call }
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.call !== 'function') {
+    throw new Error('A judge provider needs a name and a call(prompt, ctx) function');
+  }
+  providers.set(provider.name, { keyEnv: [], modelEnv: null, defaultModel: null, ...provider });
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+function readApiKey(provider) {
+  for (const env of provider.keyEnv) {
+    if (process.env[env]) return process.env[env];
+  }
+  return null;
+}
+
+/**
+ * Choose the provider for a call. Explicit choice (options or env) wins; otherwise the
+ * first provider with a key set, falling back to the offline local provider.
+ * @param {object} options - { provider, apiKey, model } (all optional)
+ * @returns {{ provider: object|null, name: string, apiKey: string|null, model: string|null }}
+ */
+function resolveProvider(options = {}) {
+  let name = options.provider || process.env.JUDGE_PROVIDER;
+  if (!name) {
+    if (options.apiKey) name = 'claude';
+    else name = ['claude', 'gemini'].find((n) => readApiKey(getProvider(n))) || 'local';
+  }
+  const provider = getProvider(name);
+  if (!provider) return { provider: null, name, apiKey: null, model: null };
+
+  const apiKey = provider.keyEnv.length ? (options.apiKey || readApiKey(provider)) : null;
+  const model = options.model || (provider.modelEnv && process.env[provider.modelEnv]) || provider.defaultModel;
+  return { provider, name, apiKey, model };
+}
+
+registerProvider({
+  name: 'claude',
+  keyEnv: ['ANTHROPIC_API_KEY'],
+  modelEnv: 'ANTHROPIC_MODEL',
+  defaultModel: 'claude-3-5-haiku-latest',
+  call: callClaude,
+});
+
+registerProvider({
+  name: 'gemini',
+  keyEnv: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+  modelEnv: 'GEMINI_MODEL',
+  defaultModel: 'gemini-2.0-flash',
+  call: callGemini,
+});
+
+registerProvider(localProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveProvider,
+  systemPrompt,
+};
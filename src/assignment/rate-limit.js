@@ -0,0 +1,73 @@
+/**
+ * Per-client rate limits for the voice server: a fixed window of `limit` requests per `windowMs`
+ * for each key (the client's IP address). In memory, like the session store; expired windows
+ * are swept periodically.
+ */
+
+/**
+ * Create a rate limiter.
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window; 0 = unlimited
+ * @param {number} [options.windowMs] - Window length (default 1 min)
+ * @returns {{ take(key): { allowed: boolean, remaining: number, retryAfterSec: number }, sweep, size, stop, limit, windowMs }}
+ */
+function createRateLimiter({ limit, windowMs = 60_000 }) {
+  const windows = new Map();
+
+  /** Count one request for `key`; `allowed` false once the window's limit is used up. */
+  function take(key) {
+    if (!limit) return { allowed: true, remaining: Infinity, retryAfterSec: 0 };
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return {
+      allowed: window.count <= limit,
+      remaining: Math.max(0, limit - window.count),
+      retryAfterSec: Math.max(1, Math.ceil((window.resetAt - now) / 1000)),
+    };
+  }
+
+  /** Drop finished windows; returns how many were removed. */
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, window] of windows) {
+      if (now >= window.resetAt) {
+        windows.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  const timer = setInterval(sweep, Math.max(1000, windowMs));
+  timer.unref();
+
+  return {
+    limit,
+    windowMs,
+    take,
+    sweep,
+    size: () => windows.size,
+    stop: () => clearInterval(timer),
+  };
+}
+
+/**
+ * Client key for rate limiting: the socket's address, or the first X-Forwarded-For hop when
+ * the server runs behind a proxy it trusts (trustProxy).
+ */
+function clientKey(req, { trustProxy = false } = {}) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+module.exports = {
+  createRateLimiter,
+  clientKey,
+};
@@ -0,0 +1,106 @@
+/**
+ * Print match history for the CLI: `history` lists past matches, `history <matchId>` (or `replay <matchId>`) walks
+ * through one match round by round with the Judge's response and intent reasons, and `prompts` compares the
+ * recorded rounds per prompt template version.
+ */
+
+const { listMatches, getMatch } = require('./history.js');
+const { listTemplates, resolveTemplate } = require('./prompt-templates.js');
+const { describeVotes } = require('./ensemble.js');
+
+function matchResult(match) {
+  if (match.end) return `${match.end.finalResult} (${match.end.userScore}–${match.end.botScore})`;
+  const last = match.rounds[match.rounds.length - 1];
+  return last ? `unfinished (${last.userScore}–${last.botScore})` : 'unfinished';
+}
+
+async function printMatchList() {
+  const matches = await listMatches();
+  if (matches.length === 0) {
+    console.log('No matches recorded yet.');
+    return;
+  }
+  console.log('--- Match history (oldest first) ---');
+  for (const match of matches) {
+    const startedAt = match.start ? match.start.at : (match.rounds[0] && match.rounds[0].at) || '?';
+    const source = match.start ? match.start.source : '?';
+    const ruleSet = match.start ? match.start.ruleSet : '?';
+    const rounds = match.rounds.filter((r) => !r.clarification).length; // clarifying questions are not rounds
+    console.log(`${match.matchId}  ${startedAt}  ${source}  ${ruleSet}  ${rounds} round(s)  ${matchResult(match)}`);
+  }
+  console.log('\nReplay one with: npm run history -- <matchId>');
+}
+
+/**
+ * Print one match round by round.
+ * @returns {Promise<boolean>} false if the match was not found
+ */
+async function printReplay(matchId) {
+  const match = await getMatch(matchId);
+  if (!match) {
+    console.error(`No match found for "${matchId}".`);
+    return false;
+  }
+  const start = match.start || {};
+  console.log(`--- Replay ${match.matchId} ---`);
+  console.log(`Started: ${start.at || '?'} · Source: ${start.source || '?'} · Rule set: ${start.ruleSet || '?'}${start.bot ? ` · Bot: ${start.bot.strategy}` : ''}\n`);
+  for (const round of match.rounds) {
+    const notes = [round.clarification && `clarifying question ${round.clarification.asked}`, round.rejudged && 'rejudged'].filter(Boolean);
+    console.log(`--- Round ${round.round}${notes.length ? ` (${notes.join(', ')})` : ''} ---`);
+    console.log(`User said: "${round.userInput}"${round.normalizedInput !== round.userInput ? ` (normalized: "${round.normalizedInput}")` : ''}`);
+    console.log(`Bot move: ${round.botMove}`);
+    console.log(`Intent: ${round.intent.status}${round.intent.move ? ` (${round.intent.move})` : ''} — ${round.intent.reason}`);
+    if (round.clarification) console.log(`Judge asked: "${round.clarification.question}" — same round, same bot move`);
+    else console.log(`Round winner: ${round.round_winner || 'none (turn wasted)'}`);
+    const powerUps = round.powerUps && [round.powerUps.user && `user ${round.powerUps.user}`, round.powerUps.bot && `bot ${round.powerUps.bot}`].filter(Boolean);
+    if (powerUps && powerUps.length) console.log(`Power-ups: ${powerUps.join(', ')}${round.round_winner ? '' : ' (turn wasted, not spent)'}`);
+    console.log(`Judge: ${round.response}`);
+    if (round.verification && !round.verification.agreed) {
+      console.log(`Verifier: ${round.verification.discrepancies.join(' ')}${round.verification.corrected ? ' (corrected)' : ''}`);
+    }
+    if (round.ensemble) console.log(`Ensemble (${round.ensemble.mode}): ${describeVotes(round.ensemble)}`);
+    const prompt = round.promptTemplate ? ` · prompt ${round.promptTemplate}` : '';
+    console.log(`Judged by: ${round.provider || '?'}${round.model ? ` / ${round.model}` : ''}${prompt} · Score after: User ${round.userScore} – Bot ${round.botScore}\n`);
+  }
+  console.log(`Result: ${matchResult(match)}`);
+  return true;
+}
+
+/**
+ * Per prompt template version: rounds judged, share of each intent status, verifier
+ * disagreements and the user's round win rate, from the recorded history.
+ */
+async function printTemplateReport() {
+  console.log('--- Prompt templates ---');
+  for (const id of listTemplates()) console.log(`${id.padEnd(14)} ${resolveTemplate(id).description}`);
+
+  const stats = new Map();
+  for (const match of await listMatches()) {
+    for (const round of match.rounds) {
+      const id = round.promptTemplate || '(unrecorded)';
+      if (!stats.has(id)) stats.set(id, { rounds: 0, VALID: 0, INVALID: 0, UNCLEAR: 0, disagreed: 0, userWins: 0 });
+      const s = stats.get(id);
+      s.rounds += 1;
+      if (round.intent && s[round.intent.status] !== undefined) s[round.intent.status] += 1;
+      if (round.verification && !round.verification.agreed) s.disagreed += 1;
+      if (round.round_winner === 'user') s.userWins += 1;
+    }
+  }
+  if (!stats.size) {
+    console.log('\nNo judged rounds recorded yet.');
+    return;
+  }
+  const pct = (n, total) => `${((n / total) * 100).toFixed(0)}%`.padStart(5);
+  console.log('\nRecorded rounds by template:');
+  console.log(`  ${'template'.padEnd(14)} ${'rounds'.padStart(6)} ${'VALID'.padStart(5)} ${'INVAL'.padStart(5)} ${'UNCL'.padStart(5)} ${'verif'.padStart(5)} ${'user'.padStart(5)}`);
+  for (const [id, s] of stats) {
+    console.log(`  ${id.padEnd(14)} ${String(s.rounds).padStart(6)} ${pct(s.VALID, s.rounds)} ${pct(s.INVALID, s.rounds)} ${pct(s.UNCLEAR, s.rounds)} ${pct(s.disagreed, s.rounds)} ${pct(s.userWins, s.rounds)}`);
+  }
+  console.log('\n(verif = verifier disagreed; user = rounds won by the user)');
+}
+
+module.exports = {
+  printTemplateReport,
+  printMatchList,
+  printReplay,
+};
@@ -0,0 +1,160 @@
+/**
+ * Match rooms for two-player games on the voice server.
+ * A room has a short shareable id, two player slots (p1 creates, p2 joins), a duel state,
+ * the moves submitted for the current round, and the event subscribers (SSE streams) to push
+ * results to. Each player proves who they are with the secret token issued on create/join.
+ * Rooms expire after a period of inactivity.
+ */
+
+const crypto = require('crypto');
+const { createDuelState, isDuelOver, getDuelWinner, SLOTS } = require('./duel.js');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 h idle
+const MAX_NAME_LENGTH = 40;
+
+function cleanName(name, fallback) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return trimmed || fallback;
+}
+
+/**
+ * Create a room store.
+ * @param {object} [options] - { ttlMs }
+ */
+function createRoomStore({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  const rooms = new Map();
+
+  function newRoomId() {
+    let id;
+    do {
+      id = crypto.randomBytes(3).toString('hex').toUpperCase();
+    } while (rooms.has(id));
+    return id;
+  }
+
+  function addPlayer(room, slot, name) {
+    const player = { slot, name: cleanName(name, `Player ${slot === 'p1' ? 1 : 2}`), token: crypto.randomUUID() };
+    room.players[slot] = player;
+    return player;
+  }
+
+  /**
+   * Open a room; the creator takes slot p1.
+   * @param {object} options - { name, ruleSet, format }
+   * @returns {{ room, player }}
+   */
+  function create({ name, ruleSet, format } = {}) {
+    const room = {
+      id: newRoomId(),
+      state: createDuelState(ruleSet, format),
+      players: { p1: null, p2: null },
+      pending: { p1: null, p2: null }, // { text, normalizedInput, transcribedText? } per slot
+      subscribers: new Set(),
+      busy: false,
+      lastSeen: Date.now(),
+    };
+    rooms.set(room.id, room);
+    return { room, player: addPlayer(room, 'p1', name) };
+  }
+
+  /** Live room (refreshes its idle timer), or null. */
+  function get(id) {
+    const room = id ? rooms.get(String(id).toUpperCase()) : null;
+    if (!room) return null;
+    const now = Date.now();
+    if (now - room.lastSeen > ttlMs && room.subscribers.size === 0) {
+      close(room);
+      return null;
+    }
+    room.lastSeen = now;
+    return room;
+  }
+
+  /**
+   * Take the free slot (p2) of a room.
+   * @returns {object|null} The new player, or null if the room is full
+   */
+  function join(room, name) {
+    if (room.players.p2) return null;
+    return addPlayer(room, 'p2', name);
+  }
+
+  /** Slot of the player holding this token, or null. */
+  function slotForToken(room, token) {
+    if (!token) return null;
+    return SLOTS.find((slot) => room.players[slot] && room.players[slot].token === token) || null;
+  }
+
+  /**
+   * Register an event listener for a room.
+   * @param {Function} send - (event, data) => void
+   * @returns {Function} unsubscribe
+   */
+  function subscribe(room, slot, send) {
+    const subscriber = { slot, send };
+    room.subscribers.add(subscriber);
+    return () => room.subscribers.delete(subscriber);
+  }
+
+  /** Push an event to every subscriber of the room. */
+  function broadcast(room, event, data) {
+    for (const { send } of room.subscribers) send(event, data);
+  }
+
+  function close(room) {
+    broadcast(room, 'closed', { message: 'Room expired.' });
+    rooms.delete(room.id);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const room of [...rooms.values()]) {
+      if (now - room.lastSeen > ttlMs && room.subscribers.size === 0) {
+        close(room);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  const timer = setInterval(sweep, Math.max(1000, Math.floor(ttlMs / 2)));
+  timer.unref();
+
+  return {
+    create,
+    get,
+    join,
+    slotForToken,
+    subscribe,
+    broadcast,
+    sweep,
+    size: () => rooms.size,
+    stop: () => clearInterval(timer),
+  };
+}
+
+/** Public view of a room (no tokens, no pending move contents). */
+function roomView(room) {
+  const players = {};
+  for (const slot of SLOTS) {
+    players[slot] = room.players[slot] ? { name: room.players[slot].name } : null;
+  }
+  return {
+    roomId: room.id,
+    ruleSet: room.state.ruleSet,
+    format: room.state.format,
+    round: room.state.round,
+    scores: room.state.scores,
+    players,
+    submitted: { p1: Boolean(room.pending.p1), p2: Boolean(room.pending.p2) },
+    gameOver: isDuelOver(room.state),
+    winner: isDuelOver(room.state) ? getDuelWinner(room.state) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  createRoomStore,
+  roomView,
+};
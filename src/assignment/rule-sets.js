@@ -0,0 +1,223 @@
+/**
+ * Rule sets: the single definition of a game variant.
+ * A rule set lists its moves, what each move beats, limited-use moves (max uses per game),
+ * common typos and words speech-to-text tends to hear instead of a move (soundsLike). The prompt
+ * text, output validation, input normalization, the bot move pool and state tracking are all
+ * generated from it.
+ */
+
+/** Typos shared by every variant that has rock, paper and scissors. */
+const RPS_TYPOS = {
+  // scissors
+  scissor: 'scissors',
+  scisors: 'scissors',
+  scisor: 'scissors',
+  sissors: 'scissors',
+  sissor: 'scissors',
+  // rock
+  roc: 'rock',
+  rok: 'rock',
+  rck: 'rock',
+  // paper
+  papper: 'paper',
+  pape: 'paper',
+  papr: 'paper',
+  paer: 'paper',
+};
+
+/** Speech-to-text mishearings shared by every variant that has rock, paper and scissors. */
+const RPS_SOUNDS_LIKE = {
+  rack: 'rock', rocky: 'rock', wok: 'rock', ruck: 'rock',
+  pepper: 'paper', piper: 'paper', pauper: 'paper', vapor: 'paper',
+  caesars: 'scissors', sizzlers: 'scissors', seizures: 'scissors',
+};
+
+const RPSB = {
+  id: 'rpsb',
+  name: 'Rock–Paper–Scissors–Bomb',
+  moves: ['rock', 'paper', 'scissors', 'bomb'],
+  beats: {
+    rock: ['scissors'],
+    paper: ['rock'],
+    scissors: ['paper'],
+    bomb: ['rock', 'paper', 'scissors'],
+  },
+  limited: { bomb: 1 },
+  typos: {
+    ...RPS_TYPOS,
+    // bomb
+    bom: 'bomb',
+    bmb: 'bomb',
+    bome: 'bomb',
+  },
+  soundsLike: {
+    ...RPS_SOUNDS_LIKE,
+    bum: 'bomb', balm: 'bomb', bong: 'bomb',
+  },
+};
+
+const RPSLS = {
+  id: 'rpsls',
+  name: 'Rock–Paper–Scissors–Lizard–Spock',
+  moves: ['rock', 'paper', 'scissors', 'lizard', 'spock'],
+  beats: {
+    rock: ['scissors', 'lizard'],
+    paper: ['rock', 'spock'],
+    scissors: ['paper', 'lizard'],
+    lizard: ['spock', 'paper'],
+    spock: ['scissors', 'rock'],
+  },
+  limited: {},
+  typos: {
+    ...RPS_TYPOS,
+    // lizard
+    lizzard: 'lizard',
+    lizrd: 'lizard',
+    lizad: 'lizard',
+    // spock
+    spok: 'spock',
+    spoc: 'spock',
+    spook: 'spock',
+  },
+  soundsLike: {
+    ...RPS_SOUNDS_LIKE,
+    lizzie: 'lizard', wizard: 'lizard', blizzard: 'lizard',
+    spark: 'spock', spot: 'spock', spoke: 'spock',
+  },
+};
+
+const DEFAULT_RULE_SET = 'rpsb';
+
+const ruleSets = new Map();
+
+/**
+ * Add (or replace) a rule set. Every beaten / limited / typo / soundsLike target must be one of its moves.
+ */
+function registerRuleSet(def) {
+  const moves = def && Array.isArray(def.moves) ? def.moves : [];
+  if (!def || !def.id || moves.length < 2) {
+    throw new Error('A rule set needs an id and at least two moves');
+  }
+  const beats = {};
+  for (const move of moves) {
+    beats[move] = (def.beats && def.beats[move]) || [];
+    const unknown = beats[move].find((m) => !moves.includes(m));
+    if (unknown) throw new Error(`Rule set "${def.id}": ${move} beats unknown move "${unknown}"`);
+  }
+  const limited = def.limited || {};
+  const unknownLimited = Object.keys(limited).find((m) => !moves.includes(m));
+  if (unknownLimited) throw new Error(`Rule set "${def.id}": unknown limited move "${unknownLimited}"`);
+  const typos = def.typos || {};
+  const unknownTypo = Object.keys(typos).find((k) => !moves.includes(typos[k]));
+  if (unknownTypo) throw new Error(`Rule set "${def.id}": typo "${unknownTypo}" maps to an unknown move`);
+  const soundsLike = def.soundsLike || {};
+  const unknownSound = Object.keys(soundsLike).find((k) => !moves.includes(soundsLike[k]));
+  if (unknownSound) throw new Error(`Rule set "${def.id}": soundsLike "${unknownSound}" maps to an unknown move`);
+
+  const ruleSet = { name: def.id, ...def, beats, limited, typos, soundsLike };
+  ruleSets.set(ruleSet.id, ruleSet);
+  return ruleSet;
+}
+
+/**
+ * Look up a rule set by id (or pass a rule set object through).
+ * Defaults to RULE_SET from env, then Rock–Paper–Scissors–Bomb.
+ */
+function getRuleSet(idOrRuleSet) {
+  if (idOrRuleSet && typeof idOrRuleSet === 'object') return idOrRuleSet;
+  const id = idOrRuleSet || process.env.RULE_SET || DEFAULT_RULE_SET;
+  const ruleSet = ruleSets.get(id);
+  if (!ruleSet) throw new Error(`Unknown rule set "${id}". Use one of: ${listRuleSets().join(', ')}.`);
+  return ruleSet;
+}
+
+function listRuleSets() {
+  return [...ruleSets.keys()];
+}
+
+/** Moves the bot may pick any round (limited-use moves are spent separately). */
+function botMoves(ruleSet) {
+  return ruleSet.moves.filter((m) => !ruleSet.limited[m]);
+}
+
+/** Compare two moves: 'user' | 'bot' | 'draw'. */
+function compareMoves(ruleSet, userMove, botMove) {
+  if (userMove === botMove) return 'draw';
+  if ((ruleSet.beats[userMove] || []).includes(botMove)) return 'user';
+  if ((ruleSet.beats[botMove] || []).includes(userMove)) return 'bot';
+  return 'draw';
+}
+
+/** Uses left of a limited move given the per-game usage counts; Infinity if unlimited. */
+function usesLeft(ruleSet, used, move) {
+  const max = ruleSet.limited[move];
+  if (!max) return Infinity;
+  return Math.max(0, max - ((used && used[move]) || 0));
+}
+
+function formatList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/** One-line summary for CLI / UI banners. */
+function summarizeRules(ruleSet) {
+  const limited = Object.keys(ruleSet.limited)
+    .map((m) => `${m} ${ruleSet.limited[m]}× per game`);
+  return `Valid moves are ${ruleSet.moves.join(', ')}${limited.length ? ` (${limited.join('; ')})` : ''}.`;
+}
+
+/**
+ * The rules section of the Judge prompt, generated from the rule set.
+ */
+function describeRules(ruleSet) {
+  const moveLines = ruleSet.moves.map((m) => {
+    const max = ruleSet.limited[m];
+    if (!max) return `   - ${m}`;
+    return `   - ${m} (can be used by each side ONLY ${max === 1 ? 'ONCE' : `${max} TIMES`} in the entire game)`;
+  });
+  const outcomeLines = [
+    ...ruleSet.moves
+      .filter((m) => ruleSet.beats[m].length)
+      .map((m) => `   - ${m} beats ${formatList(ruleSet.beats[m])}.`),
+    '   - The same move on both sides → draw.',
+  ];
+  const limitedNames = Object.keys(ruleSet.limited);
+  const exhausted = limitedNames.length
+    ? `, or ${formatList(limitedNames)} when its uses are already spent`
+    : '';
+
+  return `
+## Game rules (you must apply these exactly)
+
+1. **Valid moves** (exactly these, nothing else):
+${moveLines.join('\n')}
+
+2. **Outcomes**:
+${outcomeLines.join('\n')}
+
+3. **Move interpretation**:
+   - If the user's message clearly indicates one valid move → VALID. Infer the move (${ruleSet.moves.join('/')}).
+   - If the user's message is ambiguous or could mean multiple things → UNCLEAR. Do not guess; set move to null.
+   - If the user's message is not a valid move (wrong word, irrelevant${exhausted}) → INVALID. Set move to null.
+
+4. **Turn outcome**:
+   - Invalid or unclear moves waste the turn (no score change; round_winner is null).
+   - Valid move: determine round_winner from player_move vs bot_move using the rules above.
+`;
+}
+
+registerRuleSet(RPSB);
+registerRuleSet(RPSLS);
+
+module.exports = {
+  DEFAULT_RULE_SET,
+  registerRuleSet,
+  getRuleSet,
+  listRuleSets,
+  botMoves,
+  compareMoves,
+  usesLeft,
+  summarizeRules,
+  describeRules,
+};
@@ -0,0 +1,115 @@
+/**
+ * In-memory session store for the voice server: one game per browser.
+ * Sessions are keyed by a random id sent as a cookie and expire after a period of inactivity.
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'rpsb_sid';
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 min idle
+
+/**
+ * Parse a Cookie header into { name: value }. Pairs whose value is not valid percent-encoding are
+ * skipped: the header also carries cookies of other apps on the same host.
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (err) {
+      // malformed value (URIError): not ours to read
+    }
+  }
+  return cookies;
+}
+
+/** Set-Cookie value for a session id. */
+function sessionCookie(id, ttlMs) {
+  return `${COOKIE_NAME}=${encodeURIComponent(id)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(ttlMs / 1000)}`;
+}
+
+/**
+ * Create a session store.
+ * @param {object} options
+ * @param {Function} options.createState - Builds the initial game state for a new session
+ * @param {number} [options.ttlMs] - Idle time before a session expires (default 30 min)
+ * @returns {{ create, get, getOrCreate, remove, sweep, size, stop, ttlMs }}
+ */
+function createSessionStore({ createState, ttlMs = DEFAULT_TTL_MS }) {
+  const sessions = new Map();
+
+  function isExpired(session, now) {
+    return now - session.lastSeen > ttlMs;
+  }
+
+  function create() {
+    const now = Date.now();
+    const session = { id: crypto.randomUUID(), state: createState(), createdAt: now, lastSeen: now };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  /** Live session for the id (refreshes its idle timer), or null. */
+  function get(id) {
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+    const now = Date.now();
+    if (isExpired(session, now)) {
+      sessions.delete(id);
+      return null;
+    }
+    session.lastSeen = now;
+    return session;
+  }
+
+  /** Existing session for the id, or a new one. `created` tells the caller to set the cookie. */
+  function getOrCreate(id) {
+    const session = get(id);
+    if (session) return { session, created: false };
+    return { session: create(), created: true };
+  }
+
+  function remove(id) {
+    return sessions.delete(id);
+  }
+
+  /** Drop expired sessions; returns how many were removed. */
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, session] of sessions) {
+      if (isExpired(session, now)) {
+        sessions.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  const timer = setInterval(sweep, Math.max(1000, Math.floor(ttlMs / 2)));
+  timer.unref();
+
+  return {
+    ttlMs,
+    create,
+    get,
+    getOrCreate,
+    remove,
+    sweep,
+    size: () => sessions.size,
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = {
+  COOKIE_NAME,
+  DEFAULT_TTL_MS,
+  parseCookies,
+  sessionCookie,
+  createSessionStore,
+};
@@ -0,0 +1,103 @@
+/**
+ * Game snapshots: one JSON file per game in progress, rewritten after every judged message, so a
+ * game survives `quit`, a crash or a server restart and the last round can be rolled back.
+ *   { version, matchId, source, savedAt, settings, state, last }
+ *   settings - what the game was started with: { bot, locale, promptTemplate, clarify }
+ *   state    - the state.js object (plain JSON)
+ *   last     - the last judged message, for rejudge: { before (state before it), userInput, botMove }
+ * Files: SNAPSHOT_DIR env, default data/snapshots/<matchId>.json in the project root.
+ * Writes go to a temp file and are renamed, so a crash mid-write keeps the previous snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', '..', 'data', 'snapshots');
+const LAST = 'last';
+
+function snapshotDir() {
+  return process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR;
+}
+
+function snapshotFile(matchId, dir = snapshotDir()) {
+  if (!/^[\w-]+$/.test(String(matchId))) throw new Error(`Bad match id "${matchId}".`);
+  return path.join(dir, `${matchId}.json`);
+}
+
+/**
+ * Save (replace) the snapshot for a game, logging instead of throwing: a full disk must not end the game.
+ * @param {object} snapshot - { matchId, source, settings, state, last }
+ */
+async function saveSnapshot(snapshot, dir = snapshotDir()) {
+  try {
+    const file = snapshotFile(snapshot.matchId, dir);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot, savedAt: new Date().toISOString() }, null, 2));
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    console.error('Snapshot write failed:', err.message);
+  }
+}
+
+async function readSnapshot(file) {
+  const snapshot = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot ${path.basename(file)} has version ${snapshot.version}; this build reads version ${SNAPSHOT_VERSION}.`);
+  }
+  return snapshot;
+}
+
+/** Every readable snapshot, newest first. */
+async function listSnapshots(dir = snapshotDir()) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const snapshots = [];
+  for (const name of names.filter((n) => n.endsWith('.json'))) {
+    try {
+      snapshots.push(await readSnapshot(path.join(dir, name)));
+    } catch (e) {
+      // unreadable or from another version; skip it in listings
+    }
+  }
+  return snapshots.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Snapshot by match id (or unique prefix), or "last" for the newest one matching `filter`.
+ * @param {string} idOrPrefix
+ * @param {object} [options] - { dir, filter(snapshot) } filter applies to "last" only
+ * @returns {Promise<object|null>}
+ * @throws {Error} On an ambiguous prefix
+ */
+async function loadSnapshot(idOrPrefix, { dir = snapshotDir(), filter = () => true } = {}) {
+  const snapshots = await listSnapshots(dir);
+  if (idOrPrefix === LAST) return snapshots.find(filter) || null;
+  const found = snapshots.filter((s) => String(s.matchId).startsWith(idOrPrefix));
+  if (found.length > 1) throw new Error(`Match id "${idOrPrefix}" is ambiguous (${found.length} saved games).`);
+  return found[0] || null;
+}
+
+async function deleteSnapshot(matchId, dir = snapshotDir()) {
+  try {
+    await fs.promises.unlink(snapshotFile(matchId, dir));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Snapshot delete failed:', err.message);
+  }
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  LAST,
+  snapshotDir,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  deleteSnapshot,
+};
@@ -0,0 +1,134 @@
+/**
+ * Speech providers for the voice server: speech-to-text (STT) and text-to-speech (TTS) behind
+ * one interface, like the Judge providers.
+ *   { name, keyEnv: string[], baseUrlEnv, defaultBaseUrl, models: { stt, tts }, transcribe(audio, mimeType, ctx), speak(text, ctx) }
+ * `transcribe` resolves to { text, languageCode }; `speak` to { audio, mimeType }.
+ * `ctx` carries { apiKey, baseUrl } plus { voiceId, languageCode } for speak.
+ * Selection per direction: STT_PROVIDER / TTS_PROVIDER → SPEECH_PROVIDER → elevenlabs.
+ * The `local` provider speaks the ElevenLabs HTTP contract to the bundled stand-in
+ * (server-speech-local.js, SPEECH_LOCAL_URL), so voice mode works offline with no key.
+ * Every transcribe / speak call is logged and counted by telemetry.js (kind stt / tts).
+ */
+
+const elevenlabs = require('./elevenlabs.js');
+const { startCall } = require('./telemetry.js');
+
+const DEFAULT_SPEECH_PROVIDER = 'elevenlabs';
+const DEFAULT_LOCAL_URL = 'http://127.0.0.1:3002';
+
+const KIND_ENV = { stt: 'STT_PROVIDER', tts: 'TTS_PROVIDER' };
+
+const speechProviders = new Map();
+
+/** ElevenLabs-contract client at ctx.baseUrl (the real API or the stand-in). */
+const elevenlabsClient = {
+  models: { stt: elevenlabs.STT_MODEL, tts: elevenlabs.TTS_MODEL },
+  transcribe: (audio, mimeType, ctx) => elevenlabs.transcribe(audio, ctx.apiKey, mimeType, { baseUrl: ctx.baseUrl }),
+  speak: (text, ctx) => elevenlabs.synthesize(text, ctx.apiKey, ctx.voiceId || elevenlabs.DEFAULT_VOICE_ID, {
+    baseUrl: ctx.baseUrl,
+    languageCode: ctx.languageCode,
+  }),
+};
+
+/**
+ * Add (or replace) a speech provider.
+ * @param {object} provider - { name, keyEnv, baseUrlEnv, defaultBaseUrl, transcribe, speak }
+ */
+function registerSpeechProvider(provider) {
+  if (!provider || !provider.name || typeof provider.transcribe !== 'function' || typeof provider.speak !== 'function') {
+    throw new Error('A speech provider needs a name and transcribe / speak functions');
+  }
+  speechProviders.set(provider.name, { keyEnv: [], baseUrlEnv: null, defaultBaseUrl: null, models: {}, ...provider });
+  return provider;
+}
+
+function getSpeechProvider(name) {
+  return speechProviders.get(name) || null;
+}
+
+function listSpeechProviders() {
+  return [...speechProviders.keys()];
+}
+
+/**
+ * Provider for one direction with its key and base URL.
+ * @param {'stt'|'tts'} kind
+ * @param {object} [options] - { provider } overrides the env choice
+ * @returns {{ provider: object|null, name: string, apiKey: string|null, baseUrl: string|null, error: string|null }}
+ *   error: why the provider cannot be used (unknown name, missing key), else null
+ */
+function resolveSpeechProvider(kind, options = {}) {
+  const name = options.provider || process.env[KIND_ENV[kind]] || process.env.SPEECH_PROVIDER || DEFAULT_SPEECH_PROVIDER;
+  const provider = getSpeechProvider(name);
+  if (!provider) {
+    const error = `Unknown ${kind.toUpperCase()} provider "${name}". Use one of: ${listSpeechProviders().join(', ')}.`;
+    return { provider: null, name, apiKey: null, baseUrl: null, error };
+  }
+  const apiKey = provider.keyEnv.map((env) => process.env[env]).find(Boolean) || null;
+  const baseUrl = (provider.baseUrlEnv && process.env[provider.baseUrlEnv]) || provider.defaultBaseUrl;
+  const error = provider.keyEnv.length && !apiKey
+    ? `${provider.keyEnv[0]} is not set; set it, or use ${KIND_ENV[kind]}=local with the stand-in (npm run speech:local).`
+    : null;
+  return { provider, name, apiKey, baseUrl, error };
+}
+
+/** Run one provider call under telemetry: outcome ok / empty / error, plus `extra` fields. */
+async function observed(kind, provider, call, isEmpty, extra) {
+  const telemetry = startCall(kind, { provider: provider.name, model: provider.models[kind] || null });
+  try {
+    const result = await call();
+    telemetry.finish({ outcome: isEmpty(result) ? 'empty' : 'ok', ...extra });
+    return result;
+  } catch (err) {
+    telemetry.finish({ outcome: /429|rate limit|Too Many Requests/i.test(err.message) ? 'rate_limited' : 'error', error: err.message, ...extra });
+    throw err;
+  }
+}
+
+/**
+ * Transcribe with the configured STT provider.
+ * @returns {Promise<{ text: string, languageCode: string|null }>}
+ */
+async function transcribeAudio(audio, mimeType, options = {}) {
+  const { provider, apiKey, baseUrl, error } = resolveSpeechProvider('stt', options);
+  if (error) throw new Error(error);
+  return observed('stt', provider, () => provider.transcribe(audio, mimeType, { apiKey, baseUrl }),
+    (r) => !r || !r.text, { audioBytes: audio.length });
+}
+
+/**
+ * Speak with the configured TTS provider.
+ * @param {object} [options] - { provider, voiceId, languageCode }
+ * @returns {Promise<{ audio: Buffer, mimeType: string }>}
+ */
+async function synthesizeSpeech(text, options = {}) {
+  const { provider, apiKey, baseUrl, error } = resolveSpeechProvider('tts', options);
+  if (error) throw new Error(error);
+  return observed('tts', provider, () => provider.speak(text, { apiKey, baseUrl, voiceId: options.voiceId, languageCode: options.languageCode }),
+    (r) => !r || !r.audio || !r.audio.length, { chars: text.length });
+}
+
+registerSpeechProvider({
+  name: 'elevenlabs',
+  keyEnv: ['ELEVENLABS_API_KEY'],
+  baseUrlEnv: 'ELEVENLABS_BASE_URL',
+  defaultBaseUrl: elevenlabs.DEFAULT_BASE_URL,
+  ...elevenlabsClient,
+});
+
+registerSpeechProvider({
+  name: 'local',
+  baseUrlEnv: 'SPEECH_LOCAL_URL',
+  defaultBaseUrl: DEFAULT_LOCAL_URL,
+  ...elevenlabsClient,
+});
+
+module.exports = {
+  DEFAULT_LOCAL_URL,
+  registerSpeechProvider,
+  getSpeechProvider,
+  listSpeechProviders,
+  resolveSpeechProvider,
+  transcribeAudio,
+  synthesizeSpeech,
+};
@@ -0,0 +1,93 @@
+/**
+ * Standings / leaderboard: per-player match record and points (win 3, draw 1, loss 0).
+ * A tournament keeps its own table; every finished match is also added to the all-time
+ * leaderboard in a JSON file so standings carry over across tournaments.
+ * File: STANDINGS_FILE env, default data/standings.json in the project root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STANDINGS_FILE = path.join(__dirname, '..', '..', 'data', 'standings.json');
+const POINTS = { win: 3, draw: 1, loss: 0 };
+
+function standingsFile() {
+  return process.env.STANDINGS_FILE || DEFAULT_STANDINGS_FILE;
+}
+
+function emptyRow(name) {
+  return { name, played: 0, won: 0, drawn: 0, lost: 0, roundsWon: 0, roundsLost: 0, points: 0 };
+}
+
+/**
+ * Add one finished match to a table ({ name: row }, updated in place).
+ * @param {object} table
+ * @param {[string, string]} names - The two players
+ * @param {[number, number]} scores - Rounds won by each
+ */
+function recordMatchResult(table, names, scores) {
+  names.forEach((name, i) => {
+    const row = table[name] || (table[name] = emptyRow(name));
+    const own = scores[i];
+    const other = scores[1 - i];
+    row.played += 1;
+    row.roundsWon += own;
+    row.roundsLost += other;
+    if (own > other) {
+      row.won += 1;
+      row.points += POINTS.win;
+    } else if (own < other) {
+      row.lost += 1;
+      row.points += POINTS.loss;
+    } else {
+      row.drawn += 1;
+      row.points += POINTS.draw;
+    }
+  });
+  return table;
+}
+
+/** Rows ranked by points, then round difference, then rounds won, then name. */
+function rankStandings(table) {
+  return Object.values(table).sort((a, b) => b.points - a.points ||
+    (b.roundsWon - b.roundsLost) - (a.roundsWon - a.roundsLost) ||
+    b.roundsWon - a.roundsWon ||
+    a.name.localeCompare(b.name));
+}
+
+/** Printable table, one line per player. */
+function formatStandings(table) {
+  const rows = rankStandings(table);
+  const width = Math.max(6, ...rows.map((r) => r.name.length));
+  const lines = [`  #  ${'Player'.padEnd(width)}   P   W   D   L  Rounds  Pts`];
+  rows.forEach((r, i) => {
+    const cells = [r.played, r.won, r.drawn, r.lost].map((n) => String(n).padStart(3)).join(' ');
+    lines.push(`${String(i + 1).padStart(3)}  ${r.name.padEnd(width)} ${cells}  ${`${r.roundsWon}-${r.roundsLost}`.padStart(6)}  ${String(r.points).padStart(3)}`);
+  });
+  return lines.join('\n');
+}
+
+/** All-time leaderboard ({ name: row }); empty when the file does not exist yet. */
+async function loadStandings(file = standingsFile()) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8')).players || {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+async function saveStandings(table, file = standingsFile()) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify({ updatedAt: new Date().toISOString(), players: table }, null, 2) + '\n');
+}
+
+module.exports = {
+  POINTS,
+  standingsFile,
+  recordMatchResult,
+  rankStandings,
+  formatStandings,
+  loadStandings,
+  saveStandings,
+};
@@ -1,37 +1,109 @@
 /**
  * Minimal game state (assignment constraint: store minimal state).
- * Only: round count, scores, and whether the user has used bomb.
+ * Only: round count, scores, the rule set id, the match format, the inventory when it is not the
+ * rule set's default (power-ups, other limited-move counts; see power-ups.js), how often each side
+ * has played each limited move or power-up, the move history the bot strategies learn from, and a
+ * pending clarification (the Judge asked the user which move they meant; the round is not over yet).
  */
 
-const TOTAL_ROUNDS = 3;
+const { getRuleSet } = require('./rule-sets.js');
+const { resolveFormat, formatOf, isMatchOver, DEFAULT_FORMAT } = require('./match-format.js');
+const { resolveInventory, inventoryOf, applyPowerUps } = require('./power-ups.js');
 
-function createState() {
-  return {
+/** Rounds in the default (fixed) format. */
+const TOTAL_ROUNDS = DEFAULT_FORMAT.rounds;
+
+/**
+ * @param {string} [ruleSetId] - Rule set id (default: RULE_SET env, then rpsb)
+ * @param {object} [format] - { type, rounds, suddenDeath } (default: MATCH_* env, then fixed 3)
+ * @param {string|object} [inventory] - Inventory spec, e.g. "bomb=2,shield=1" (default: INVENTORY env,
+ *   then the rule set's limited moves); throws on an unknown item or a bad count
+ */
+function createState(ruleSetId, format, inventory) {
+  const ruleSet = getRuleSet(ruleSetId);
+  const allowance = resolveInventory(inventory, ruleSet);
+  const limitedUsed = {};
+  for (const item of Object.keys(allowance)) limitedUsed[item] = 0;
+  const state = {
     round: 1, // 1-based for display (Round 1, Round 2, ...)
     userScore: 0,
     botScore: 0,
-    bombUsed: false,
+    ruleSet: ruleSet.id,
+    format: resolveFormat(format),
+    limitedUsed, // user's uses, e.g. { bomb: 0 }
+    botLimitedUsed: { ...limitedUsed },
+    history: [], // { userMove (VALID move or null), botMove, winner } per round
+    clarification: null, // { botMove, botPowerUp, input, question, candidates, asked } while the Judge awaits an answer
+  };
+  const { limited } = ruleSet;
+  const custom = Object.keys(allowance).some((item) => allowance[item] !== limited[item]);
+  return custom ? { ...state, inventory: allowance } : state;
+}
+
+/**
+ * Hold the round open for the user's answer to the Judge's clarifying question. The bot move
+ * stays fixed for the answer; the round, scores and history do not change.
+ * @param {object} state - Current state
+ * @param {object} result - Judge result with { clarification: { question, candidates } }
+ * @param {string} userInput - The unclear message (the first one of the round is kept)
+ * @param {string} botMove - The bot's move this round
+ * @param {string|null} [botPowerUp] - The bot's power-up this round (kept with the bot move)
+ */
+function startClarification(state, result, userInput, botMove, botPowerUp = null) {
+  const previous = state.clarification;
+  return {
+    ...state,
+    clarification: {
+      botMove,
+      botPowerUp,
+      input: previous ? previous.input : userInput,
+      question: result.clarification.question,
+      candidates: result.clarification.candidates,
+      asked: (previous ? previous.asked : 0) + 1,
+    },
   };
 }
 
 /**
- * Advance to next round and update scores/bomb from judge result.
+ * Advance to next round and update scores, limited-move and power-up usage and history from judge result.
+ * The power-ups played in a decided round change its score (a shield turns a loss into a draw, a
+ * double makes it worth 2) and are spent; in a wasted round both sides keep them. The history keeps
+ * the winner by the moves alone, which is what the bot strategies learn from.
+ * @param {object} state - Current state
+ * @param {object} result - Judge result { intent, round_winner, powerUps?: { user, bot } }
+ * @param {string} botMove - The bot's move this round
  */
-function applyRoundResult(state, result) {
+function applyRoundResult(state, result, botMove) {
+  const userMove = result.intent?.status === 'VALID' ? result.intent.move : null;
+  const roundWinner = result.round_winner ?? null;
+  const powerUps = roundWinner ? result.powerUps || {} : {};
   const next = {
     round: state.round + 1,
     userScore: state.userScore,
     botScore: state.botScore,
-    bombUsed: state.bombUsed,
+    ruleSet: state.ruleSet,
+    format: state.format,
+    ...(state.inventory ? { inventory: state.inventory } : {}),
+    limitedUsed: { ...state.limitedUsed },
+    botLimitedUsed: { ...state.botLimitedUsed },
+    history: [...state.history, { userMove, botMove: botMove || null, winner: roundWinner }],
+    clarification: null,
   };
-  if (result.round_winner === 'user') next.userScore += 1;
-  if (result.round_winner === 'bot') next.botScore += 1;
-  if (result.intent?.move === 'bomb') next.bombUsed = true;
+  const { winner, points } = applyPowerUps(roundWinner, powerUps);
+  if (winner === 'user') next.userScore += points;
+  if (winner === 'bot') next.botScore += points;
+  const inventory = inventoryOf(state);
+  for (const item of [userMove, powerUps.user]) {
+    if (item in inventory) next.limitedUsed[item] = (next.limitedUsed[item] || 0) + 1;
+  }
+  for (const item of [botMove, powerUps.bot]) {
+    if (item in inventory) next.botLimitedUsed[item] = (next.botLimitedUsed[item] || 0) + 1;
+  }
   return next;
 }
 
 function isGameOver(state) {
-  return state.round > TOTAL_ROUNDS;
+  return isMatchOver(formatOf(state), state.round, state.userScore, state.botScore);
 }
 
 function getFinalResult(state) {
@@ -44,6 +116,7 @@ module.exports = {
   TOTAL_ROUNDS,
   createState,
   applyRoundResult,
+  startClarification,
   isGameOver,
   getFinalResult,
 };
@@ -0,0 +1,199 @@
+/**
+ * Telemetry for external calls (Judge, STT, TTS): one structured JSON log line per call, plus
+ * in-process counters and histograms that the voice server serves at GET /metrics in the
+ * Prometheus text format.
+ *   { type: 'external-call', at, kind, callId, requestId, provider, model, outcome, latencyMs, retries, usage, error, ... }
+ *   kind     - judge | stt | tts
+ *   outcome  - ok | invalid_json | empty | rate_limited | error
+ *   usage    - { inputTokens, outputTokens } when the provider reports it (Judge only)
+ *   requestId - the voice server's request id (X-Request-Id) when the call ran inside withRequestId
+ * Log: TELEMETRY_LOG=file (data/telemetry.jsonl or TELEMETRY_FILE) | stderr | off. Default off, file in
+ * the voice server (setDefaultLogTarget): lines are appended in the background, and a short-lived
+ * process (CLI, eval, tournament) may exit before they are written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TELEMETRY_FILE = path.join(__dirname, '..', '..', 'data', 'telemetry.jsonl');
+const LOG_TARGETS = ['file', 'stderr', 'off'];
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+
+const requestContext = new AsyncLocalStorage();
+let defaultTarget = 'off';
+
+function newRequestId() {
+  return crypto.randomUUID();
+}
+
+/** Run `fn` with `requestId` attached to every call it makes (across awaits). */
+function withRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+// --- Metrics ---
+
+const metrics = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function metric(name, type, help, buckets) {
+  if (!metrics.has(name)) metrics.set(name, { name, type, help, buckets, series: new Map() });
+  return metrics.get(name);
+}
+
+function series(m, labels, init) {
+  const key = labelKey(labels);
+  if (!m.series.has(key)) m.series.set(key, { labels, ...init() });
+  return m.series.get(key);
+}
+
+/** Add `n` (default 1) to a counter. */
+function incCounter(name, help, labels, n = 1) {
+  series(metric(name, 'counter', help), labels, () => ({ value: 0 })).value += n;
+}
+
+/** Record one observation in a histogram (cumulative buckets, like Prometheus). */
+function observeHistogram(name, help, labels, value, buckets = DURATION_BUCKETS) {
+  const m = metric(name, 'histogram', help, buckets);
+  const s = series(m, labels, () => ({ counts: m.buckets.map(() => 0), sum: 0, count: 0 }));
+  m.buckets.forEach((le, i) => {
+    if (value <= le) s.counts[i] += 1;
+  });
+  s.sum += value;
+  s.count += 1;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Every metric in the Prometheus text exposition format (version 0.0.4).
+ * @param {Array<{ name, type, help, value }>} [extra] - gauges/counters computed elsewhere (e.g. cache stats)
+ */
+function renderMetrics(extra = []) {
+  const lines = [];
+  for (const m of metrics.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type === 'counter') {
+        lines.push(`${m.name}${formatLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`));
+      lines.push(`${m.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${m.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${m.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+  }
+  for (const e of extra) {
+    lines.push(`# HELP ${e.name} ${e.help}`, `# TYPE ${e.name} ${e.type}`, `${e.name}${formatLabels(e.labels || {})} ${e.value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// --- Log ---
+
+/** Log target when TELEMETRY_LOG is not set (the voice server sets file). */
+function setDefaultLogTarget(target) {
+  if (!LOG_TARGETS.includes(target)) throw new Error(`Unknown telemetry log "${target}". Use one of: ${LOG_TARGETS.join(', ')}.`);
+  defaultTarget = target;
+}
+
+function logTarget() {
+  const target = process.env.TELEMETRY_LOG || defaultTarget;
+  return LOG_TARGETS.includes(target) ? target : defaultTarget;
+}
+
+function telemetryFile() {
+  return process.env.TELEMETRY_FILE || DEFAULT_TELEMETRY_FILE;
+}
+
+/** Write one log line, logging instead of throwing: telemetry must never fail a round. */
+async function writeEvent(event) {
+  const line = JSON.stringify(event) + '\n';
+  const target = logTarget();
+  if (target === 'off') return;
+  if (target === 'stderr') {
+    process.stderr.write(line);
+    return;
+  }
+  try {
+    const file = telemetryFile();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, line);
+  } catch (err) {
+    console.error('Telemetry write failed:', err.message);
+  }
+}
+
+/**
+ * Start timing one external call. `finish` logs it and updates the metrics; call it exactly once.
+ * @param {'judge'|'stt'|'tts'} kind
+ * @param {object} info - { provider, model }
+ * @returns {{ callId: string, finish(outcome: object): object }} outcome: { outcome, retries, usage, error, ...extra }
+ */
+function startCall(kind, { provider, model = null }) {
+  const callId = newRequestId();
+  const requestId = currentRequestId();
+  const started = process.hrtime.bigint();
+
+  function finish({ outcome, retries = 0, usage = null, error = null, ...extra }) {
+    const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const event = {
+      type: 'external-call',
+      at: new Date().toISOString(),
+      kind,
+      callId,
+      requestId,
+      provider,
+      model,
+      outcome,
+      latencyMs: Math.round(latencyMs * 10) / 10,
+      retries,
+      usage,
+      error,
+      ...extra,
+    };
+    const labels = { kind, provider };
+    incCounter('rpsb_external_calls_total', 'External calls by kind, provider and outcome.', { ...labels, outcome });
+    observeHistogram('rpsb_external_call_duration_seconds', 'External call latency, retries included.', labels, latencyMs / 1000);
+    if (retries) incCounter('rpsb_external_call_retries_total', 'Retries after a rate limit.', labels, retries);
+    if (usage) {
+      for (const [type, n] of [['input', usage.inputTokens], ['output', usage.outputTokens]]) {
+        if (Number.isFinite(n)) incCounter('rpsb_judge_tokens_total', 'Model tokens used by the Judge.', { provider, model: model || '', type }, n);
+      }
+    }
+    if (extra.verdict) incCounter('rpsb_judge_verdicts_total', 'Intent status returned by the model (VALID / INVALID / UNCLEAR).', { provider, status: extra.verdict });
+    writeEvent(event);
+    return event;
+  }
+
+  return { callId, finish };
+}
+
+module.exports = {
+  newRequestId,
+  withRequestId,
+  currentRequestId,
+  startCall,
+  setDefaultLogTarget,
+  incCounter,
+  observeHistogram,
+  renderMetrics,
+};
@@ -0,0 +1,177 @@
+/**
+ * Tournament mode: a round-robin or knockout bracket between people and bot strategies.
+ * Every match is a two-player duel (duel.js) in the chosen match format; people type their
+ * moves at the terminal (hot-seat), bots pick theirs with their strategy. Bot-vs-bot rounds
+ * name canonical moves, so they are judged by the local rules instead of a model call.
+ * Standings are kept for the tournament and added to the all-time leaderboard (standings.js).
+ *
+ * Entrants: "Ann" is a person, "bot:markov" a bot playing that strategy.
+ */
+
+const { createDuelState, applyDuelResult, isDuelOver, getDuelWinner, playerView, judgeDuelRound, SLOTS } = require('./duel.js');
+const { chooseBotMove, resolveStrategy } = require('./bot-strategies.js');
+const { normalizeMoveInput } = require('./normalize-input.js');
+const { getRuleSet } = require('./rule-sets.js');
+const { resolveFormat, describeFormat } = require('./match-format.js');
+const { recordMatchResult, formatStandings, loadStandings, saveStandings, standingsFile } = require('./standings.js');
+
+const BRACKETS = ['round-robin', 'knockout'];
+
+/**
+ * Parse entrants from a comma-separated list.
+ * @param {string} spec - e.g. "Ann, Bob, bot:markov, bot:random"
+ * @returns {Array<{ name: string, bot: string|null }>} bot = strategy name for bots
+ * @throws {Error} On unknown strategies, duplicate names or fewer than two entrants
+ */
+function parseEntrants(spec) {
+  const entrants = String(spec || '').split(',').map((s) => s.trim()).filter(Boolean).map((item) => {
+    if (!item.toLowerCase().startsWith('bot:')) return { name: item, bot: null };
+    const strategy = resolveStrategy(item.slice(4).trim());
+    return { name: `Bot (${strategy})`, bot: strategy };
+  });
+  if (entrants.length < 2) throw new Error('A tournament needs at least two entrants (e.g. --players "Ann,bot:markov").');
+  const seen = new Set();
+  for (const { name } of entrants) {
+    if (seen.has(name)) throw new Error(`Entrant "${name}" is listed twice.`);
+    seen.add(name);
+  }
+  return entrants;
+}
+
+/** Every pairing once, in entry order. */
+function roundRobinPairs(entrants) {
+  const pairs = [];
+  for (let i = 0; i < entrants.length; i++) {
+    for (let j = i + 1; j < entrants.length; j++) pairs.push([entrants[i], entrants[j]]);
+  }
+  return pairs;
+}
+
+/**
+ * First knockout round: entrants in seed order, padded with byes (null) to a power of two;
+ * seed 1 meets the lowest seed, so byes go to the top seeds.
+ */
+function knockoutFirstRound(entrants) {
+  let size = 1;
+  while (size < entrants.length) size *= 2;
+  const seeded = [...entrants, ...Array(size - entrants.length).fill(null)];
+  const pairs = [];
+  for (let i = 0; i < size / 2; i++) pairs.push([seeded[i], seeded[size - 1 - i]]);
+  return pairs;
+}
+
+/**
+ * Play one match between two entrants.
+ * @param {[object, object]} pair - Entrants for p1 and p2
+ * @param {object} options - { ruleSet, format, botBomb, askMove(entrant, state) → Promise<string>, judgeOptions }
+ * @returns {Promise<{ state, winner: 'p1' | 'p2' | 'draw' }>}
+ */
+async function playMatch(pair, options) {
+  const ruleSet = getRuleSet(options.ruleSet);
+  const entrants = { p1: pair[0], p2: pair[1] };
+  const names = { p1: pair[0].name, p2: pair[1].name };
+  const botsOnly = pair.every((e) => e.bot);
+  const judgeOptions = botsOnly ? { ...options.judgeOptions, provider: 'local' } : options.judgeOptions;
+  let state = createDuelState(ruleSet.id, options.format);
+
+  while (!isDuelOver(state)) {
+    const inputs = {};
+    for (const slot of SLOTS) {
+      const entrant = entrants[slot];
+      inputs[slot] = entrant.bot
+        ? chooseBotMove(playerView(state, slot), { strategy: entrant.bot, useLimited: options.botBomb })
+        : normalizeMoveInput(await options.askMove(entrant, state), ruleSet);
+    }
+    const result = await judgeDuelRound(state, inputs, names, judgeOptions);
+    console.log(botsOnly ? `  ${result.response}` : `\n${result.response}\n`);
+    state = applyDuelResult(state, result);
+  }
+  return { state, winner: getDuelWinner(state) };
+}
+
+/**
+ * Run a tournament, printing every match and the final standings.
+ * @param {object} options - { entrants, bracket, ruleSet, format, botBomb, askMove, judgeOptions }
+ * @returns {Promise<{ standings: object, champion: string|null }>} champion only for knockout
+ */
+async function runTournament(options) {
+  const bracket = options.bracket || 'round-robin';
+  if (!BRACKETS.includes(bracket)) {
+    throw new Error(`Unknown bracket "${bracket}". Use one of: ${BRACKETS.join(', ')}.`);
+  }
+  // A knockout match needs a winner: ties go to sudden death, and the higher seed advances if that runs out.
+  const format = resolveFormat(bracket === 'knockout' ? { ...options.format, suddenDeath: true } : options.format);
+  const matchOptions = { ...options, format };
+  const standings = {};
+  const leaderboard = await loadStandings();
+  let matchNo = 0;
+
+  async function play(pair) {
+    matchNo += 1;
+    console.log(`\n=== Match ${matchNo}: ${pair[0].name} vs ${pair[1].name} ===`);
+    const { state, winner } = await playMatch(pair, matchOptions);
+    const scores = [state.scores.p1, state.scores.p2];
+    const names = [pair[0].name, pair[1].name];
+    recordMatchResult(standings, names, scores);
+    recordMatchResult(leaderboard, names, scores);
+    console.log(`Result: ${names[0]} ${scores[0]} – ${names[1]} ${scores[1]} · ${winner === 'draw' ? 'Draw' : `${winner === 'p1' ? names[0] : names[1]} wins`}`);
+    return winner;
+  }
+
+  console.log(`--- Tournament (${bracket}) · ${getRuleSet(options.ruleSet).name} · ${describeFormat(format)} ---`);
+  console.log(`Entrants: ${options.entrants.map((e) => e.name).join(', ')}`);
+
+  let champion = null;
+  if (bracket === 'round-robin') {
+    for (const pair of roundRobinPairs(options.entrants)) await play(pair);
+  } else {
+    let pairs = knockoutFirstRound(options.entrants);
+    for (;;) {
+      const advancing = [];
+      for (const [a, b] of pairs) {
+        if (!b) {
+          console.log(`\n${a.name} has a bye.`);
+          advancing.push(a);
+          continue;
+        }
+        const winner = await play([a, b]);
+        if (winner === 'draw') console.log(`Still tied after sudden death: ${a.name} advances as the higher seed.`);
+        advancing.push(winner === 'p2' ? b : a);
+      }
+      if (advancing.length === 1) {
+        champion = advancing[0].name;
+        break;
+      }
+      pairs = [];
+      for (let i = 0; i < advancing.length; i += 2) pairs.push([advancing[i], advancing[i + 1]]);
+    }
+  }
+
+  await saveStandings(leaderboard);
+  console.log('\n--- Standings ---');
+  console.log(formatStandings(standings));
+  if (champion) console.log(`\nChampion: ${champion}`);
+  console.log(`\nAll-time leaderboard updated (${standingsFile()}).`);
+  return { standings, champion };
+}
+
+/** Print the all-time leaderboard. */
+async function printLeaderboard() {
+  const leaderboard = await loadStandings();
+  if (!Object.keys(leaderboard).length) {
+    console.log('No tournament matches yet. Run one with: npm run tournament -- --players "Ann,bot:markov"');
+    return;
+  }
+  console.log('--- All-time leaderboard ---');
+  console.log(formatStandings(leaderboard));
+}
+
+module.exports = {
+  BRACKETS,
+  parseEntrants,
+  roundRobinPairs,
+  knockoutFirstRound,
+  playMatch,
+  runTournament,
+  printLeaderboard,
+};
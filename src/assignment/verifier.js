@@ -0,0 +1,93 @@
+/**
+ * Verifier: checks the Judge's parsed verdict against the rule set after parseStructuredOutput.
+ * The model still decides intent (is "I guess rock" VALID?); the verifier only catches
+ * verdicts that contradict the rules, e.g. round_winner "user" for rock vs paper, or a
+ * limited-use move or power-up accepted after its uses are spent. Scores are then never built on a
+ * hallucinated verdict.
+ */
+
+const { compareMoves, usesLeft } = require('./rule-sets.js');
+const { ruleSetOf, chargesLeft } = require('./power-ups.js');
+
+/** The power-up the verdict plays when its player has no charges of it left, or null. */
+function spentPowerUp(state, intent) {
+  return intent.power_up && chargesLeft(state, intent.power_up) === 0 ? intent.power_up : null;
+}
+
+/**
+ * List every way the verdict contradicts the rules (empty array = consistent).
+ * @param {object} state - Game state the round was judged with
+ * @param {object} result - Parsed verdict { intent, round_winner }
+ * @param {string} botMove - Bot's move for the round
+ * @returns {string[]} One sentence per discrepancy, suitable for re-prompting the model
+ */
+function findDiscrepancies(state, result, botMove) {
+  const ruleSet = ruleSetOf(state);
+  const { status, move } = result.intent || {};
+  const issues = [];
+
+  if (status !== 'VALID') {
+    if (result.round_winner !== null) {
+      issues.push(`round_winner must be null when the move is ${status}, but it was "${result.round_winner}".`);
+    }
+    return issues;
+  }
+  if (!move) {
+    issues.push('intent.status is VALID but intent.move is null; a VALID intent needs a move.');
+    return issues;
+  }
+  if (usesLeft(ruleSet, state.limitedUsed, move) === 0) {
+    issues.push(`${move} has no uses left this game, so the move must be INVALID with round_winner null.`);
+    return issues;
+  }
+  if (spentPowerUp(state, result.intent)) {
+    issues.push(`The user has no ${result.intent.power_up} charges left, so the move must be INVALID with round_winner null.`);
+    return issues;
+  }
+  const expected = compareMoves(ruleSet, move, botMove);
+  if (result.round_winner !== expected) {
+    issues.push(`For ${move} (user) vs ${botMove} (bot) the rules give round_winner "${expected}", but it was "${result.round_winner}".`);
+  }
+  return issues;
+}
+
+/**
+ * Rewrite a verdict so it agrees with the rules (used when re-judging did not fix it).
+ * The model's response text is kept and a one-line correction is appended.
+ */
+function correctVerdict(state, result, botMove) {
+  const ruleSet = ruleSetOf(state);
+  const { status, move } = result.intent;
+  let intent = result.intent;
+  let roundWinner = null;
+  let note;
+
+  if (status === 'VALID' && !move) {
+    intent = { status: 'UNCLEAR', move: null, reason: 'The Judge marked the move VALID without naming it.' };
+    note = 'The move could not be confirmed, so the turn is wasted.';
+  } else if (status === 'VALID' && usesLeft(ruleSet, state.limitedUsed, move) === 0) {
+    intent = { status: 'INVALID', move: null, reason: `${move} has no uses left this game.` };
+    note = `${move} has no uses left, so the turn is wasted.`;
+  } else if (status === 'VALID' && spentPowerUp(state, result.intent)) {
+    intent = { status: 'INVALID', move: null, power_up: null, reason: `No ${result.intent.power_up} charges left.` };
+    note = `No ${result.intent.power_up} charges are left, so the turn is wasted.`;
+  } else if (status === 'VALID') {
+    roundWinner = compareMoves(ruleSet, move, botMove);
+    note = roundWinner === 'draw'
+      ? `${move} vs ${botMove} is a draw.`
+      : `${roundWinner === 'user' ? 'User' : 'Bot'} wins the round (${move} vs ${botMove}).`;
+  } else {
+    note = 'The turn is wasted.';
+  }
+  return {
+    ...result,
+    intent,
+    round_winner: roundWinner,
+    response: `${result.response} (Correction: ${note})`,
+  };
+}
+
+module.exports = {
+  findDiscrepancies,
+  correctVerdict,
+};
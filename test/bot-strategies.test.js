@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chooseBotMove, seededRng, resolveStrategy, listStrategies } = require('../src/assignment/bot-strategies.js');
+const { createState } = require('../src/assignment/state.js');
+
+/** A state whose user has played `moves`, oldest first. */
+function withHistory(moves) {
+  const state = createState('rpsb');
+  state.history = moves.map((userMove) => ({ userMove, botMove: 'rock', winner: null }));
+  state.round = moves.length + 1;
+  return state;
+}
+
+/** Bot moves for rounds 1..n of a game with `seed`. */
+function sequence(seed, strategy, n = 12) {
+  const moves = [];
+  for (let round = 1; round <= n; round++) {
+    moves.push(chooseBotMove({ ...createState('rpsb'), round }, { strategy, seed }));
+  }
+  return moves;
+}
+
+test('the same seed gives the same moves, round by round', () => {
+  for (const strategy of listStrategies()) assert.deepEqual(sequence('abc', strategy), sequence('abc', strategy));
+  assert.notDeepEqual(sequence('abc', 'random'), sequence('xyz', 'random'));
+  const a = seededRng(7, 3);
+  const b = seededRng(7, 3);
+  assert.deepEqual([a(), a(), a()], [b(), b(), b()]);
+});
+
+test('markov counters a move the user keeps repeating', () => {
+  const state = withHistory(['rock', 'rock', 'rock']);
+  for (let i = 0; i < 20; i++) assert.equal(chooseBotMove(state, { strategy: 'markov', seed: i }), 'paper');
+});
+
+test('markov predicts from what followed the last move, not from overall frequency', () => {
+  const state = withHistory(['paper', 'paper', 'paper', 'paper', 'rock', 'scissors', 'rock', 'scissors', 'rock']);
+  for (let i = 0; i < 20; i++) {
+    assert.equal(chooseBotMove(state, { strategy: 'markov', seed: i }), 'rock');
+    assert.equal(chooseBotMove(state, { strategy: 'frequency', seed: i }), 'scissors');
+  }
+});
+
+test('resolveStrategy rejects unknown names', () => {
+  assert.throws(() => resolveStrategy('psychic'), /Unknown bot strategy/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveEnsemble, describeEnsemble, describeVotes, judgeEnsemble } = require('../src/assignment/ensemble.js');
+
+/** A judgeRound-like result from one member. */
+function verdict(member, status, move, roundWinner, error = null) {
+  return {
+    provider: member.provider,
+    model: member.model,
+    intent: { status, move },
+    round_winner: roundWinner,
+    response: `${member.provider} says ${status}`,
+    error,
+  };
+}
+
+/** judgeMember that answers from a table keyed by provider. */
+function fakeJudge(answers) {
+  const calls = [];
+  const judgeMember = async (member) => {
+    calls.push(member.provider);
+    return answers[member.provider](member);
+  };
+  return { judgeMember, calls };
+}
+
+test('resolveEnsemble reads the mode and members, or returns null when off', () => {
+  assert.equal(resolveEnsemble(false), null);
+  assert.equal(resolveEnsemble({ mode: 'off' }), null);
+  const ensemble = resolveEnsemble({ mode: 'vote', members: 'claude, gemini:gemini-1.5-pro,local' });
+  assert.deepEqual(ensemble.members, [
+    { provider: 'claude', model: null },
+    { provider: 'gemini', model: 'gemini-1.5-pro' },
+    { provider: 'local', model: null },
+  ]);
+  assert.equal(describeEnsemble(ensemble), 'vote (claude, gemini:gemini-1.5-pro, local)');
+});
+
+test('resolveEnsemble rejects a bad mode, provider or member count', () => {
+  assert.throws(() => resolveEnsemble({ mode: 'best', members: 'claude,gemini' }), /Unknown judge ensemble mode "best"/);
+  assert.throws(() => resolveEnsemble({ mode: 'vote', members: 'claude,nope' }), /Unknown judge provider "nope"/);
+  assert.throws(() => resolveEnsemble({ mode: 'vote', members: 'claude' }), /at least two members/);
+});
+
+test('failover moves on to the next member after an error', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const ensemble = resolveEnsemble({ mode: 'failover', members: 'claude,gemini,local' });
+  const { judgeMember, calls } = fakeJudge({
+    claude: (m) => verdict(m, 'INVALID', null, null, 'rate limited'),
+    gemini: (m) => verdict(m, 'VALID', 'rock', 'user'),
+    local: (m) => verdict(m, 'VALID', 'paper', 'bot'),
+  });
+  const result = await judgeEnsemble(ensemble, judgeMember);
+  assert.deepEqual(calls, ['claude', 'gemini']);
+  assert.equal(result.provider, 'gemini');
+  assert.deepEqual(result.ensemble.decidedBy, { provider: 'gemini', model: null });
+  assert.equal(result.ensemble.votes.length, 2);
+  assert.match(describeVotes(result.ensemble), /^claude: error \(rate limited\) · gemini: VALID rock → user — decided by gemini$/);
+});
+
+test('vote takes the majority verdict and skips members that errored', async () => {
+  const ensemble = resolveEnsemble({ mode: 'vote', members: 'claude,gemini,local' });
+  const { judgeMember } = fakeJudge({
+    claude: (m) => verdict(m, 'VALID', 'paper', 'bot'),
+    gemini: (m) => verdict(m, 'VALID', 'rock', 'user'),
+    local: (m) => verdict(m, 'VALID', 'rock', 'user'),
+  });
+  const streamed = [];
+  const result = await judgeEnsemble(ensemble, judgeMember, { onVerdict: (v) => streamed.push(v.round_winner) });
+  assert.equal(result.provider, 'gemini');
+  assert.equal(result.round_winner, 'user');
+  assert.equal(result.ensemble.disagreement, true);
+  assert.equal(result.ensemble.majority, true);
+  assert.deepEqual(streamed, ['user']);
+  assert.match(describeVotes(result.ensemble), /the judges disagreed$/);
+});
+
+test('vote breaks a tie in favour of the earlier member', async () => {
+  const ensemble = resolveEnsemble({ mode: 'vote', members: 'claude,gemini,local' });
+  const { judgeMember } = fakeJudge({
+    claude: (m) => verdict(m, 'UNCLEAR', null, null),
+    gemini: (m) => verdict(m, 'VALID', 'rock', 'user'),
+    local: (m) => verdict(m, 'INVALID', null, null, 'no key'),
+  });
+  const result = await judgeEnsemble(ensemble, judgeMember);
+  assert.equal(result.provider, 'claude');
+  assert.equal(result.ensemble.majority, false);
+});
+
+test('vote with every member failing reports that no one decided', async () => {
+  const ensemble = resolveEnsemble({ mode: 'vote', members: 'claude,gemini' });
+  const { judgeMember } = fakeJudge({
+    claude: (m) => verdict(m, 'INVALID', null, null, 'down'),
+    gemini: (m) => verdict(m, 'INVALID', null, null, 'down'),
+  });
+  const result = await judgeEnsemble(ensemble, judgeMember);
+  assert.equal(result.ensemble.decidedBy, null);
+  assert.match(describeVotes(result.ensemble), /no member judged the round$/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { editDistance, phoneticKey, matchMove } = require('../src/assignment/fuzzy-match.js');
+const { analyzeMoveInput } = require('../src/assignment/normalize-input.js');
+
+test('editDistance counts insertions, deletions and substitutions', () => {
+  assert.equal(editDistance('rock', 'rock'), 0);
+  assert.equal(editDistance('rokk', 'rock'), 1);
+  assert.equal(editDistance('', 'paper'), 5);
+});
+
+test('phoneticKey treats sound-alike spellings the same', () => {
+  assert.equal(phoneticKey('scizzors'), phoneticKey('scissors'));
+});
+
+test('matchMove finds an exact move with full confidence', () => {
+  const match = matchMove('I choose rock', 'rpsb');
+  assert.equal(match.move, 'rock');
+  assert.equal(match.confidence, 1);
+  assert.equal(match.method, 'exact');
+  assert.equal(match.flagged, false);
+  assert.equal(match.ambiguous, false);
+});
+
+test('matchMove marks two exactly named moves ambiguous, not a spelling guess', () => {
+  const match = matchMove('rock or paper', 'rpsb');
+  assert.equal(match.method, 'exact');
+  assert.equal(match.ambiguous, true);
+  assert.equal(match.flagged, true);
+  assert.deepEqual(match.alternatives.map((a) => a.move), ['paper']);
+});
+
+test('matchMove rewrites a confident misspelling and flags a weak one', () => {
+  const confident = analyzeMoveInput('scissorss', 'rpsb');
+  assert.equal(confident.match.method, 'fuzzy');
+  assert.equal(confident.match.flagged, false);
+  assert.equal(confident.input, 'scissors');
+
+  const weak = analyzeMoveInput('scis', 'rpsb');
+  assert.equal(weak.match.move, 'scissors');
+  assert.equal(weak.match.method, 'fuzzy');
+  assert.equal(weak.match.flagged, true);
+  assert.equal(weak.input, 'scis');
+});
+
+test('ordinary words near a move are flagged, never rewritten', () => {
+  for (const [word, move] of [['pope', 'paper'], ['pipe', 'paper'], ['papa', 'paper'], ['pager', 'paper'], ['rick', 'rock'], ['rook', 'rock'], ['boom', 'bomb']]) {
+    const { input, match } = analyzeMoveInput(word, 'rpsb');
+    assert.equal(input, word, word);
+    assert.equal(match.move, move, word);
+    assert.equal(match.flagged, true, word);
+  }
+});
+
+test('matchMove uses the rule set\'s mishearings', () => {
+  const match = matchMove('rack', 'rpsb');
+  assert.equal(match.move, 'rock');
+  assert.equal(match.method, 'sounds-like');
+});
+
+test('matchMove returns no move for unrelated text', () => {
+  const match = matchMove('hello there', 'rpsb');
+  assert.equal(match.move, null);
+  assert.equal(match.flagged, false);
+  assert.equal(match.ambiguous, false);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryBackend, createFileBackend, createJudgeCache, judgeCacheKey } = require('../src/assignment/judge-cache.js');
+const { createState } = require('../src/assignment/state.js');
+const { resolveInventory } = require('../src/assignment/power-ups.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const keyFor = (overrides = {}) => judgeCacheKey({ provider: 'claude', model: 'm', state: createState('rpsb'), userInput: 'rock', botMove: 'paper', ...overrides });
+
+test('judgeCacheKey ignores case and spacing of the input', () => {
+  assert.equal(keyFor({ userInput: '  I   play ROCK ' }), keyFor({ userInput: 'i play rock' }));
+  assert.match(keyFor(), /^[0-9a-f]{64}$/);
+});
+
+test('judgeCacheKey changes with anything the verdict depends on', () => {
+  const base = keyFor();
+  assert.notEqual(keyFor({ botMove: 'scissors' }), base);
+  assert.notEqual(keyFor({ model: 'other' }), base);
+  assert.notEqual(keyFor({ locale: 'es' }), base);
+  assert.notEqual(keyFor({ state: { ...createState('rpsb'), userScore: 1 } }), base);
+  assert.notEqual(keyFor({ state: createState('rpsb', undefined, resolveInventory('shield=1', 'rpsb')) }), base);
+  assert.equal(keyFor({ locale: 'en', promptTemplate: 'standard@1' }), base); // the defaults
+});
+
+test('a cached value is reused until it expires', async () => {
+  const cache = createJudgeCache({ ttlMs: 20 });
+  let calls = 0;
+  const compute = async () => `verdict ${++calls}`;
+  assert.deepEqual(await cache.getOrCompute('k', compute), { value: 'verdict 1', source: 'miss' });
+  assert.deepEqual(await cache.getOrCompute('k', compute), { value: 'verdict 1', source: 'hit' });
+  await sleep(30);
+  assert.deepEqual(await cache.getOrCompute('k', compute), { value: 'verdict 2', source: 'miss' });
+  assert.deepEqual(cache.stats(), { backend: 'memory', ttlMs: 20, hits: 1, misses: 2, coalesced: 0, size: 1 });
+});
+
+test('concurrent identical requests share one call', async () => {
+  const cache = createJudgeCache();
+  let calls = 0;
+  let finish;
+  const compute = () => {
+    calls += 1;
+    return new Promise((resolve) => { finish = resolve; });
+  };
+  const first = cache.getOrCompute('k', compute);
+  const second = cache.getOrCompute('k', compute);
+  await sleep(0);
+  finish('verdict');
+  assert.deepEqual(await first, { value: 'verdict', source: 'miss' });
+  assert.deepEqual(await second, { value: 'verdict', source: 'coalesced' });
+  assert.equal(calls, 1);
+});
+
+test('errors and empty output are not cached', async () => {
+  const cache = createJudgeCache();
+  await assert.rejects(cache.getOrCompute('k', async () => { throw new Error('rate limited'); }), /rate limited/);
+  assert.deepEqual(await cache.getOrCompute('k', async () => ''), { value: '', source: 'miss' });
+  assert.deepEqual(await cache.getOrCompute('k', async () => 'verdict'), { value: 'verdict', source: 'miss' });
+});
+
+test('the memory backend drops the least recently used entry', async () => {
+  const backend = createMemoryBackend({ maxEntries: 2 });
+  await backend.set('a', { value: 1 });
+  await backend.set('b', { value: 2 });
+  await backend.get('a');
+  await backend.set('c', { value: 3 });
+  assert.equal(await backend.get('b'), null);
+  assert.deepEqual(await backend.get('a'), { value: 1 });
+});
+
+test('the file backend keeps entries across instances', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpsb-cache-test-'));
+  try {
+    const file = path.join(dir, 'cache.jsonl');
+    await createJudgeCache({ backend: createFileBackend({ file }) }).getOrCompute('k', async () => 'verdict');
+    const reopened = createJudgeCache({ backend: createFileBackend({ file }) });
+    assert.deepEqual(await reopened.getOrCompute('k', async () => 'other'), { value: 'verdict', source: 'hit' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
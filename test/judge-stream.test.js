@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJudgeStream } = require('../src/assignment/judge-stream.js');
+const { judgeRound } = require('../src/assignment/ai-judge.js');
+const { registerProvider } = require('../src/assignment/providers.js');
+const { createState } = require('../src/assignment/state.js');
+
+const INTENT = { status: 'VALID', move: 'rock', reason: 'Says rock.' };
+const RESPONSE = 'Rock beats "scissors".\nNext: round 2 — café \\ done';
+
+/** Push `text` in the given pieces; collect what the stream reports. */
+function run(pieces) {
+  const verdicts = [];
+  let response = '';
+  const stream = createJudgeStream({ onVerdict: (v) => verdicts.push(v), onResponse: (chunk) => { response += chunk; } });
+  for (const piece of pieces) stream.push(piece);
+  return { verdicts, response, text: stream.text() };
+}
+
+/** Every way of cutting `text` in two, plus one character at a time. */
+function splits(text) {
+  const cuts = [[...text]];
+  for (let i = 1; i < text.length; i += 1) cuts.push([text.slice(0, i), text.slice(i)]);
+  return cuts;
+}
+
+test('the verdict is reported before the response, which decodes across any chunk split', () => {
+  const text = JSON.stringify({ intent: INTENT, round_winner: 'user', response: RESPONSE });
+  for (const pieces of splits(text)) {
+    const { verdicts, response, text: all } = run(pieces);
+    assert.deepEqual(verdicts, [{ intent: INTENT, round_winner: 'user' }], JSON.stringify(pieces));
+    assert.equal(response, RESPONSE, JSON.stringify(pieces));
+    assert.equal(all, text);
+  }
+});
+
+test('\\u escapes split mid-sequence are decoded once complete', () => {
+  const text = '{"intent":{"status":"UNCLEAR","move":null},"round_winner":null,"response":"caf\\u00e9!"}';
+  for (const pieces of splits(text)) assert.equal(run(pieces).response, 'café!');
+});
+
+test('a verdict written after the response is reported once the object is complete', () => {
+  const text = JSON.stringify({ response: RESPONSE, intent: INTENT, round_winner: 'user' });
+  for (const pieces of splits(text)) {
+    const { verdicts, response } = run(pieces);
+    assert.deepEqual(verdicts, [{ intent: INTENT, round_winner: 'user' }], JSON.stringify(pieces));
+    assert.equal(response, RESPONSE);
+  }
+});
+
+test('a round_winner after the response waits for the whole object', () => {
+  const text = '```json\n{"intent":{"status":"VALID","move":"rock"},"response":"Hi","round_winner":"bot"}\n```';
+  for (const pieces of splits(text)) {
+    assert.deepEqual(run(pieces).verdicts, [{ intent: { status: 'VALID', move: 'rock' }, round_winner: 'bot' }]);
+  }
+});
+
+test('judgeRound streams the parsed verdict when the model writes the response first', async () => {
+  registerProvider({
+    name: 'response-first',
+    async call(prompt, ctx) {
+      const text = JSON.stringify({ response: 'You win.', intent: { status: 'VALID', move: 'rock', reason: 'rock' }, round_winner: 'user' });
+      for (let i = 0; i < text.length; i += 7) ctx.onToken(text.slice(i, i + 7));
+      return { text, usage: null };
+    },
+  });
+  const verdicts = [];
+  let response = '';
+  const result = await judgeRound(createState('rpsb'), 'rock', 'scissors', {
+    provider: 'response-first',
+    cache: false,
+    onVerdict: (v) => verdicts.push(v),
+    onResponseChunk: (chunk) => { response += chunk; },
+  });
+  assert.equal(verdicts.length, 1);
+  assert.equal(verdicts[0].intent.status, 'VALID');
+  assert.equal(verdicts[0].intent.move, 'rock');
+  assert.equal(verdicts[0].round_winner, 'user');
+  assert.equal(response, 'You win.');
+  assert.equal(result.round_winner, 'user');
+});
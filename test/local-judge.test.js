@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider } = require('../src/assignment/providers.js');
+const { judgeLocally, judgeDuelLocally } = require('../src/assignment/local-judge.js');
+const { createState } = require('../src/assignment/state.js');
+const { createDuelState } = require('../src/assignment/duel.js');
+
+test('one named move is VALID and judged by the rules', () => {
+  const result = judgeLocally(createState('rpsb'), 'I go with rock', 'scissors');
+  assert.equal(result.intent.status, 'VALID');
+  assert.equal(result.intent.move, 'rock');
+  assert.equal(result.round_winner, 'user');
+  assert.equal(result.response, 'Round 1. You played rock, bot played scissors. You win the round. Score: User 1 – Bot 0. On to round 2.');
+});
+
+test('no move is INVALID, several are UNCLEAR, and either wastes the turn', () => {
+  const invalid = judgeLocally(createState('rpsb'), 'hello', 'rock');
+  assert.equal(invalid.intent.status, 'INVALID');
+  assert.equal(invalid.round_winner, null);
+  const unclear = judgeLocally(createState('rpsb'), 'rock or paper', 'rock');
+  assert.equal(unclear.intent.status, 'UNCLEAR');
+  assert.equal(unclear.round_winner, null);
+  assert.match(unclear.response, /The turn is wasted\./);
+});
+
+test('a limited move with no uses left is INVALID', () => {
+  const state = { ...createState('rpsb'), limitedUsed: { bomb: 1 } };
+  const result = judgeLocally(state, 'bomb', 'rock');
+  assert.equal(result.intent.status, 'INVALID');
+  assert.match(result.intent.reason, /only be used once/);
+});
+
+test('an unclear move gets a clarifying question while questions are left', () => {
+  const result = judgeLocally(createState('rpsb'), 'rock or paper', 'rock', { remaining: 1, pending: null });
+  assert.deepEqual(result.clarification, { question: 'Which one do you mean: rock or paper?', candidates: ['rock', 'paper'] });
+  assert.equal(result.round_winner, null);
+});
+
+test('the last round announces the final result', () => {
+  const state = { ...createState('rpsb'), round: 3, userScore: 1, botScore: 1 };
+  assert.match(judgeLocally(state, 'paper', 'rock').response, /Score: User 2 – Bot 1\. Final result: User wins\.$/);
+});
+
+test('a duel round names the players', () => {
+  const result = judgeDuelLocally(createDuelState('rpsb'), { p1: 'scissors', p2: 'paper' }, { p1: 'Ann', p2: 'Bob' });
+  assert.equal(result.round_winner, 'player1');
+  assert.match(result.response, /Ann wins the round/);
+});
+
+test('the local provider answers with the JSON verdict, streamed as one chunk', async () => {
+  const local = getProvider('local');
+  const chunks = [];
+  const state = createState('rpsb');
+  const { text, usage } = await local.call('ignored', { state, userInput: 'paper', botMove: 'rock', onToken: (c) => chunks.push(c) });
+  assert.equal(usage, null);
+  assert.deepEqual(chunks, [text]);
+  assert.deepEqual(JSON.parse(text), judgeLocally(state, 'paper', 'rock'));
+  const duel = await local.call('ignored', { mode: 'duel', state: createDuelState('rpsb'), inputs: { p1: 'rock', p2: 'rock' }, names: { p1: 'Ann', p2: 'Bob' } });
+  assert.equal(JSON.parse(duel.text).round_winner, 'draw');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AUTO, resolveLocale, localeVocabulary, detectLocale, localeForMessage } = require('../src/assignment/locales.js');
+const { normalizeMoveInput } = require('../src/assignment/normalize-input.js');
+
+const MOVES = ['rock', 'paper', 'scissors', 'bomb'];
+
+test('localeVocabulary keeps English players to English words', () => {
+  const vocabulary = localeVocabulary('en', MOVES);
+  assert.equal(vocabulary.roca, undefined);
+  assert.equal(vocabulary.piedra, undefined);
+  assert.equal(normalizeMoveInput('tijeras', 'rpsb', 'en'), 'tijeras');
+});
+
+test('localeVocabulary gives a chosen locale its own words only', () => {
+  const vocabulary = localeVocabulary('es', MOVES);
+  assert.equal(vocabulary.piedra, 'rock');
+  assert.equal(vocabulary.kagaz, undefined);
+  assert.equal(normalizeMoveInput('piedra', 'rpsb', 'es'), 'rock');
+  assert.equal(normalizeMoveInput('rock', 'rpsb', 'es'), 'rock');
+});
+
+test('localeVocabulary merges every locale for auto or no locale', () => {
+  for (const locale of [AUTO, undefined]) {
+    const vocabulary = localeVocabulary(locale, MOVES);
+    assert.equal(vocabulary.piedra, 'rock');
+    assert.equal(vocabulary.kagaz, 'paper');
+  }
+});
+
+test('localeVocabulary drops words for moves the rule set lacks', () => {
+  const vocabulary = localeVocabulary(AUTO, ['rock', 'paper', 'scissors']);
+  assert.ok(Object.values(vocabulary).every((move) => move !== 'bomb'));
+});
+
+test('detectLocale prefers the speech-to-text language, then the words', () => {
+  assert.equal(detectLocale('rock', 'spa'), 'es');
+  assert.equal(detectLocale('elijo piedra'), 'es');
+  assert.equal(detectLocale('zzz'), null);
+  assert.equal(localeForMessage(AUTO, 'zzz'), 'en');
+  assert.equal(localeForMessage('fr', 'piedra'), 'fr');
+});
+
+test('resolveLocale rejects an unknown locale', () => {
+  assert.equal(resolveLocale(AUTO), AUTO);
+  assert.throws(() => resolveLocale('xx'), /Unknown locale "xx"/);
+});
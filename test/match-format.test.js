@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveFormat, isMatchOver, isSuddenDeath, endingOutcomes, MAX_SUDDEN_DEATH_ROUNDS } = require('../src/assignment/match-format.js');
+
+const fixed = (rounds, suddenDeath = false) => ({ type: 'fixed', rounds, suddenDeath });
+const bestOf = (rounds, suddenDeath = false) => ({ type: 'best-of', rounds, suddenDeath });
+
+test('a fixed match plays every round, whatever the score', () => {
+  assert.equal(isMatchOver(fixed(3), 3, 2, 0), false);
+  assert.equal(isMatchOver(fixed(3), 4, 3, 0), true);
+  assert.equal(isMatchOver(fixed(3), 4, 1, 1), true);
+});
+
+test('best-of stops once one side has clinched', () => {
+  assert.equal(isMatchOver(bestOf(3), 3, 2, 0), true);
+  assert.equal(isMatchOver(bestOf(3), 3, 1, 0), false);
+  assert.equal(isMatchOver(bestOf(5), 4, 2, 0), false);
+  assert.equal(isMatchOver(bestOf(5), 4, 3, 0), true);
+  assert.equal(isMatchOver(bestOf(5), 6, 2, 2), true);
+});
+
+test('sudden death continues a tie one round at a time, up to the cap', () => {
+  const format = fixed(3, true);
+  assert.equal(isSuddenDeath(format, 3), false);
+  assert.equal(isSuddenDeath(format, 4), true);
+  assert.equal(isMatchOver(format, 4, 1, 1), false);
+  assert.equal(isMatchOver(format, 5, 2, 1), true);
+  assert.equal(isMatchOver(format, 3 + MAX_SUDDEN_DEATH_ROUNDS, 1, 1), false);
+  assert.equal(isMatchOver(format, 4 + MAX_SUDDEN_DEATH_ROUNDS, 1, 1), true);
+  assert.equal(isMatchOver(bestOf(3, true), 4, 1, 1), false);
+});
+
+test('endingOutcomes lists the round results that would end the match', () => {
+  assert.deepEqual(endingOutcomes(bestOf(3), 2, 1, 0), ['a']);
+  assert.deepEqual(endingOutcomes(fixed(3), 3, 1, 1), ['a', 'b', 'none']);
+  assert.deepEqual(endingOutcomes(fixed(3, true), 3, 1, 1), ['a', 'b']);
+  assert.deepEqual(endingOutcomes(fixed(3), 1, 0, 0), []);
+});
+
+test('resolveFormat validates type and rounds', () => {
+  assert.deepEqual(resolveFormat({ type: 'best-of', rounds: 5 }), { type: 'best-of', rounds: 5, suddenDeath: false });
+  assert.throws(() => resolveFormat({ type: 'marathon' }), /Unknown match format/);
+  assert.throws(() => resolveFormat({ rounds: 0 }), /whole number/);
+  assert.throws(() => resolveFormat({ rounds: 2.5 }), /whole number/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveInventory,
+  ruleSetOf,
+  powerUpsOf,
+  chargesLeft,
+  describeInventory,
+  formatInventory,
+  findPowerUps,
+  applyPowerUps,
+} = require('../src/assignment/power-ups.js');
+const { createState, applyRoundResult } = require('../src/assignment/state.js');
+const { getRuleSet } = require('../src/assignment/rule-sets.js');
+
+/** A judged VALID round, as applyRoundResult receives it. */
+const valid = (move, roundWinner, powerUps) => ({ intent: { status: 'VALID', move }, round_winner: roundWinner, powerUps });
+
+test('resolveInventory starts from the rule set and applies the spec', () => {
+  assert.deepEqual(resolveInventory('', 'rpsb'), { bomb: 1 });
+  assert.deepEqual(resolveInventory('bomb=2, shield=1,double', 'rpsb'), { bomb: 2, shield: 1, double: 1 });
+  assert.deepEqual(resolveInventory({ shield: 0 }, 'rpsb'), { bomb: 1, shield: 0 });
+});
+
+test('resolveInventory rejects unknown items and bad counts', () => {
+  assert.throws(() => resolveInventory('laser=1', 'rpsb'), /Unknown inventory item "laser"/);
+  assert.throws(() => resolveInventory('bomb=0', 'rpsb'), /from 1 to 9/);
+  assert.throws(() => resolveInventory('shield=10', 'rpsb'), /from 0 to 9/);
+  assert.throws(() => resolveInventory('double=1.5', 'rpsb'), /whole number/);
+});
+
+test('an inventory changes the limited moves and puts power-ups in play', () => {
+  const state = createState('rpsb', undefined, resolveInventory('bomb=2,shield=1,double=0', 'rpsb'));
+  assert.deepEqual(ruleSetOf(state).limited, { bomb: 2 });
+  assert.deepEqual(powerUpsOf(state), ['shield']);
+  assert.equal(chargesLeft(state, 'bomb'), 2);
+  assert.equal(chargesLeft(state, 'rock'), Infinity);
+  assert.deepEqual(findPowerUps('rock with my SHIELD, double it', state), ['shield']);
+
+  const plain = createState('rpsb');
+  assert.equal(plain.inventory, undefined);
+  assert.equal(ruleSetOf(plain), getRuleSet('rpsb'));
+  assert.deepEqual(powerUpsOf(plain), []);
+});
+
+test('applyPowerUps: shield turns a loss into a draw, double doubles the points', () => {
+  assert.deepEqual(applyPowerUps('user'), { winner: 'user', points: 1 });
+  assert.deepEqual(applyPowerUps('bot', { user: 'shield' }), { winner: 'draw', points: 1 });
+  assert.deepEqual(applyPowerUps('user', { user: 'shield' }), { winner: 'user', points: 1 });
+  assert.deepEqual(applyPowerUps('bot', { user: 'double' }), { winner: 'bot', points: 2 });
+  assert.deepEqual(applyPowerUps('user', { user: 'double', bot: 'double' }), { winner: 'user', points: 4 });
+  assert.deepEqual(applyPowerUps(null, { user: 'double' }), { winner: null, points: 1 });
+});
+
+test('applyRoundResult scores power-ups and spends them only in a decided round', () => {
+  let state = createState('rpsb', undefined, resolveInventory('shield=1,double=1', 'rpsb'));
+  state = applyRoundResult(state, { intent: { status: 'INVALID', move: null }, round_winner: null, powerUps: { user: 'double' } }, 'rock');
+  assert.equal(chargesLeft(state, 'double'), 1);
+
+  state = applyRoundResult(state, valid('paper', 'user', { user: 'double', bot: null }), 'rock');
+  assert.equal(state.userScore, 2);
+  assert.equal(chargesLeft(state, 'double'), 0);
+  assert.equal(state.history.at(-1).winner, 'user'); // the history keeps the moves' winner
+
+  state = applyRoundResult(state, valid('rock', 'user', { user: null, bot: 'shield' }), 'scissors');
+  assert.equal(state.userScore, 2);
+  assert.equal(chargesLeft(state, 'shield', 'bot'), 0);
+  assert.equal(chargesLeft(state, 'shield', 'user'), 1);
+  assert.equal(formatInventory(state, 'user'), 'bomb 1/1, shield 1/1, double 0/1');
+});
+
+test('describeInventory leaves out the bot when it does not spend items', () => {
+  const state = createState('rpsb', undefined, resolveInventory('shield=1', 'rpsb'));
+  assert.deepEqual(describeInventory(state).bot, { bomb: { left: 1, max: 1 }, shield: { left: 1, max: 1 } });
+  const view = describeInventory(state, { bot: false });
+  assert.equal(view.bot, null);
+  assert.deepEqual(view.user.shield, { left: 1, max: 1 });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerProvider, getProvider, listProviders, resolveProvider } = require('../src/assignment/providers.js');
+
+const ENV = ['JUDGE_PROVIDER', 'ANTHROPIC_API_KEY', 'ANTHROPIC_MODEL', 'GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GEMINI_MODEL'];
+const saved = Object.fromEntries(ENV.map((key) => [key, process.env[key]]));
+for (const key of ENV) delete process.env[key];
+
+test.afterEach(() => {
+  for (const key of ENV) delete process.env[key];
+});
+test.after(() => {
+  for (const key of ENV) if (saved[key] !== undefined) process.env[key] = saved[key];
+});
+
+test('registerProvider needs a name and a call function, and fills in the defaults', () => {
+  assert.throws(() => registerProvider({ name: 'broken' }), /needs a name and a call/);
+  assert.throws(() => registerProvider({ call: async () => ({ text: '' }) }), /needs a name and a call/);
+  registerProvider({ name: 'echo', async call(prompt) { return { text: prompt, usage: null }; } });
+  assert.ok(listProviders().includes('echo'));
+  const { keyEnv, modelEnv, defaultModel } = getProvider('echo');
+  assert.deepEqual({ keyEnv, modelEnv, defaultModel }, { keyEnv: [], modelEnv: null, defaultModel: null });
+  assert.equal(getProvider('nope'), null);
+});
+
+test('without a choice or a key the offline local provider is used', () => {
+  const { name, apiKey, model } = resolveProvider();
+  assert.deepEqual({ name, apiKey, model }, { name: 'local', apiKey: null, model: 'rules' });
+});
+
+test('the first provider with a key set is chosen, with its model from env', () => {
+  process.env.GOOGLE_API_KEY = 'g-key';
+  process.env.GEMINI_MODEL = 'gemini-test';
+  const { name, apiKey, model } = resolveProvider();
+  assert.deepEqual({ name, apiKey, model }, { name: 'gemini', apiKey: 'g-key', model: 'gemini-test' });
+  process.env.ANTHROPIC_API_KEY = 'a-key';
+  assert.equal(resolveProvider().name, 'claude');
+  assert.equal(resolveProvider().model, 'claude-3-5-haiku-latest');
+});
+
+test('an explicit choice wins over keys: options, then JUDGE_PROVIDER', () => {
+  process.env.ANTHROPIC_API_KEY = 'a-key';
+  process.env.JUDGE_PROVIDER = 'gemini';
+  assert.equal(resolveProvider().name, 'gemini');
+  assert.equal(resolveProvider().apiKey, null);
+  assert.equal(resolveProvider({ provider: 'local' }).name, 'local');
+  assert.equal(resolveProvider({ provider: 'claude', model: 'claude-x' }).model, 'claude-x');
+  delete process.env.JUDGE_PROVIDER;
+  delete process.env.ANTHROPIC_API_KEY;
+  assert.equal(resolveProvider({ apiKey: 'passed' }).name, 'claude');
+  assert.equal(resolveProvider({ apiKey: 'passed' }).apiKey, 'passed');
+});
+
+test('an unknown provider resolves to null with its name', () => {
+  assert.deepEqual(resolveProvider({ provider: 'psychic' }), { provider: null, name: 'psychic', apiKey: null, model: null });
+});
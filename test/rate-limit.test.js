@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../src/assignment/rate-limit.js');
+
+test('createRateLimiter allows `limit` requests per key and window', () => {
+  const limiter = createRateLimiter({ limit: 2 });
+  try {
+    assert.equal(limiter.take('a').allowed, true);
+    assert.equal(limiter.take('a').allowed, true);
+    const third = limiter.take('a');
+    assert.equal(third.allowed, false);
+    assert.ok(third.retryAfterSec >= 1);
+    assert.equal(limiter.take('b').allowed, true);
+  } finally {
+    limiter.stop();
+  }
+});
+
+test('createRateLimiter with limit 0 never limits', () => {
+  const limiter = createRateLimiter({ limit: 0 });
+  try {
+    for (let i = 0; i < 5; i += 1) assert.equal(limiter.take('a').allowed, true);
+  } finally {
+    limiter.stop();
+  }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerProvider, getProvider } = require('../src/assignment/providers.js');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'rpsb-server-test-'));
+Object.assign(process.env, {
+  JUDGE_PROVIDER: 'gated',
+  HISTORY_FILE: path.join(tmp, 'history.jsonl'),
+  SNAPSHOT_DIR: path.join(tmp, 'snapshots'),
+  TELEMETRY_LOG: 'off',
+  RATE_LIMIT_PER_MIN: '0',
+  RATE_LIMIT_ROUNDS_PER_MIN: '0',
+});
+
+// The local judge, held until the test opens the gate, so a round stays pending.
+let openGate;
+let gate = new Promise((resolve) => { openGate = resolve; });
+registerProvider({
+  name: 'gated',
+  async call(prompt, ctx) {
+    await gate;
+    return getProvider('local').call(prompt, ctx);
+  },
+});
+
+const { server } = require('../server-voice.js');
+
+let base;
+test.before(() => new Promise((resolve) => {
+  server.listen(0, () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function request(route, cookie, body) {
+  return fetch(base + route, {
+    method: body ? 'POST' : 'GET',
+    headers: { cookie, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+}
+
+test('new-game is refused while a round is being judged', async () => {
+  const first = await request('/api/state', '');
+  const cookie = first.headers.get('set-cookie').split(';')[0];
+
+  const move = request('/api/move', cookie, { text: 'rock' });
+  try {
+    await new Promise((resolve) => setTimeout(resolve, 50)); // the move is now waiting on the Judge
+    const refused = await request('/api/new-game', cookie, {});
+    assert.equal(refused.status, 409);
+  } finally {
+    openGate();
+  }
+  const played = await move;
+  assert.equal(played.status, 200);
+  assert.equal((await (await request('/api/state', cookie)).json()).round, 2);
+
+  gate = Promise.resolve();
+  const started = await request('/api/new-game', cookie, {});
+  assert.equal(started.status, 200);
+  assert.equal((await (await request('/api/state', cookie)).json()).round, 1);
+});
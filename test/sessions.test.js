@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCookies, createSessionStore } = require('../src/assignment/sessions.js');
+
+test('parseCookies decodes values and skips pairs without a name or value', () => {
+  assert.deepEqual(parseCookies('rpsb_sid=a%20b; =x; flag; theme=dark'), { rpsb_sid: 'a b', theme: 'dark' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('parseCookies skips malformed percent-encoding instead of throwing', () => {
+  assert.deepEqual(parseCookies('other=%E0%A4%A; rpsb_sid=abc'), { rpsb_sid: 'abc' });
+});
+
+test('session store creates a session once and finds it again', () => {
+  const store = createSessionStore({ createState: () => ({ round: 1 }) });
+  const session = store.create();
+  assert.equal(store.get(session.id), session);
+  assert.equal(store.size(), 1);
+  store.stop();
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveSnapshot, listSnapshots, loadSnapshot, deleteSnapshot, LAST } = require('../src/assignment/snapshots.js');
+const { recordMatchStart, recordRound, recordUndo, recordMatchEnd, getMatch } = require('../src/assignment/history.js');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'rpsb-test-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const snapshot = (matchId, source) => ({ matchId, source, settings: {}, state: { round: 1 }, last: null });
+
+test('snapshots are saved, listed newest first and loaded by id prefix or "last"', async () => {
+  const dir = path.join(tmp, 'snapshots');
+  await saveSnapshot(snapshot('aaa-1', 'cli'), dir);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await saveSnapshot(snapshot('bbb-1', 'voice'), dir);
+
+  assert.deepEqual((await listSnapshots(dir)).map((s) => s.matchId), ['bbb-1', 'aaa-1']);
+  assert.equal((await loadSnapshot('aaa', { dir })).matchId, 'aaa-1');
+  assert.equal((await loadSnapshot(LAST, { dir })).matchId, 'bbb-1');
+  assert.equal((await loadSnapshot(LAST, { dir, filter: (s) => s.source === 'cli' })).matchId, 'aaa-1');
+  assert.equal(await loadSnapshot('zzz', { dir }), null);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['aaa-1.json', 'bbb-1.json']); // no temp files left
+
+  await deleteSnapshot('aaa-1', dir);
+  assert.deepEqual((await listSnapshots(dir)).map((s) => s.matchId), ['bbb-1']);
+});
+
+test('loadSnapshot rejects an ambiguous prefix; listing skips other versions', async () => {
+  const dir = path.join(tmp, 'ambiguous');
+  await saveSnapshot(snapshot('abc-1', 'cli'), dir);
+  await saveSnapshot(snapshot('abc-2', 'cli'), dir);
+  fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ version: 0, matchId: 'old' }));
+  await assert.rejects(loadSnapshot('abc', { dir }), /ambiguous/);
+  assert.equal((await listSnapshots(dir)).length, 2);
+  assert.deepEqual(await listSnapshots(path.join(tmp, 'missing')), []);
+});
+
+test('an undo event drops the last round and the match end from the history', async () => {
+  const file = path.join(tmp, 'history.jsonl');
+  const result = { intent: { status: 'VALID', move: 'rock' }, round_winner: 'user', response: 'You win.' };
+  await recordMatchStart('m1', { source: 'cli' }, file);
+  await recordRound('m1', { round: 1, userInput: 'rock', result }, file);
+  await recordRound('m1', { round: 2, userInput: 'papr', result }, file);
+  await recordMatchEnd('m1', { userScore: 1, botScore: 1, finalResult: 'Draw' }, file);
+  await recordUndo('m1', { round: 2, reason: 'rejudge' }, file);
+  await recordRound('m1', { round: 2, userInput: 'papr', result }, file);
+
+  const match = await getMatch('m1', file);
+  assert.equal(match.rounds.length, 2);
+  assert.equal(match.end, null);
+});
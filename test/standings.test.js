@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpsb-standings-'));
+process.env.STANDINGS_FILE = path.join(dir, 'nested', 'standings.json');
+const { recordMatchResult, rankStandings, loadStandings, saveStandings } = require('../src/assignment/standings.js');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('recordMatchResult scores wins, draws and losses for both players', () => {
+  const table = {};
+  recordMatchResult(table, ['Ann', 'Bob'], [2, 1]);
+  recordMatchResult(table, ['Ann', 'Bob'], [1, 1]);
+  assert.deepEqual(table.Ann, { name: 'Ann', played: 2, won: 1, drawn: 1, lost: 0, roundsWon: 3, roundsLost: 2, points: 4 });
+  assert.deepEqual(table.Bob, { name: 'Bob', played: 2, won: 0, drawn: 1, lost: 1, roundsWon: 2, roundsLost: 3, points: 1 });
+});
+
+test('rankStandings orders by points, round difference, rounds won, then name', () => {
+  const table = {};
+  recordMatchResult(table, ['Cat', 'Dan'], [3, 0]);
+  recordMatchResult(table, ['Bea', 'Eve'], [2, 0]);
+  recordMatchResult(table, ['Ada', 'Fay'], [3, 1]);
+  recordMatchResult(table, ['Gus', 'Hal'], [0, 0]);
+  assert.deepEqual(rankStandings(table).map((r) => r.name), ['Cat', 'Ada', 'Bea', 'Gus', 'Hal', 'Fay', 'Eve', 'Dan']);
+});
+
+test('the leaderboard round-trips through STANDINGS_FILE', async () => {
+  assert.deepEqual(await loadStandings(), {});
+  const table = recordMatchResult({}, ['Ann', 'Bot (markov)'], [0, 2]);
+  await saveStandings(table);
+  assert.deepEqual(await loadStandings(), table);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpsb-tournament-'));
+process.env.STANDINGS_FILE = path.join(dir, 'standings.json');
+const { parseEntrants, roundRobinPairs, knockoutFirstRound, runTournament } = require('../src/assignment/tournament.js');
+const { MAX_SUDDEN_DEATH_ROUNDS } = require('../src/assignment/match-format.js');
+const { loadStandings } = require('../src/assignment/standings.js');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const names = (pairs) => pairs.map(([a, b]) => [a && a.name, b && b.name]);
+
+test('parseEntrants tells people from bots and rejects bad lists', () => {
+  assert.deepEqual(parseEntrants('Ann, bot:markov'), [{ name: 'Ann', bot: null }, { name: 'Bot (markov)', bot: 'markov' }]);
+  assert.throws(() => parseEntrants('Ann'), /at least two/);
+  assert.throws(() => parseEntrants('Ann,Ann'), /listed twice/);
+});
+
+test('roundRobinPairs plays every pairing once, in entry order', () => {
+  const entrants = parseEntrants('A,B,C,D');
+  assert.deepEqual(names(roundRobinPairs(entrants)), [['A', 'B'], ['A', 'C'], ['A', 'D'], ['B', 'C'], ['B', 'D'], ['C', 'D']]);
+});
+
+test('knockoutFirstRound pads to a power of two, giving the byes to the top seeds', () => {
+  assert.deepEqual(names(knockoutFirstRound(parseEntrants('A,B,C,D'))), [['A', 'D'], ['B', 'C']]);
+  assert.deepEqual(names(knockoutFirstRound(parseEntrants('A,B,C,D,E'))), [['A', null], ['B', null], ['C', null], ['D', 'E']]);
+  assert.deepEqual(names(knockoutFirstRound(parseEntrants('A,B,C'))), [['A', null], ['B', 'C']]);
+});
+
+test('a knockout match still tied after sudden death sends the higher seed through', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const askMove = t.mock.fn(async () => 'rock');
+  const { standings, champion } = await runTournament({
+    entrants: parseEntrants('Ann,Bob'),
+    bracket: 'knockout',
+    ruleSet: 'rpsb',
+    format: { type: 'fixed', rounds: 1 },
+    askMove,
+    judgeOptions: { provider: 'local', cache: false },
+  });
+  assert.equal(askMove.mock.callCount(), 2 * (1 + MAX_SUDDEN_DEATH_ROUNDS));
+  assert.equal(champion, 'Ann');
+  assert.equal(standings.Ann.drawn, 1);
+  assert.equal(standings.Bob.drawn, 1);
+  assert.equal((await loadStandings()).Ann.played, 1);
+});
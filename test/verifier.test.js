@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDiscrepancies, correctVerdict } = require('../src/assignment/verifier.js');
+const { judgeRound } = require('../src/assignment/ai-judge.js');
+const { registerProvider } = require('../src/assignment/providers.js');
+const { createState } = require('../src/assignment/state.js');
+
+const verdict = (status, move, roundWinner) => ({
+  intent: { status, move, reason: 'test' },
+  round_winner: roundWinner,
+  response: 'Judged.',
+});
+
+// A provider that answers with the next queued verdict (the first call, then each re-judge).
+let replies = [];
+const prompts = [];
+registerProvider({
+  name: 'scripted',
+  async call(prompt) {
+    prompts.push(prompt);
+    return { text: JSON.stringify(replies.shift()), usage: null };
+  },
+});
+
+test('findDiscrepancies accepts a verdict that agrees with the rules', () => {
+  assert.deepEqual(findDiscrepancies(createState('rpsb'), verdict('VALID', 'rock', 'user'), 'scissors'), []);
+  assert.deepEqual(findDiscrepancies(createState('rpsb'), verdict('UNCLEAR', null, null), 'rock'), []);
+});
+
+test('findDiscrepancies reports a wrong winner', () => {
+  const [issue, ...rest] = findDiscrepancies(createState('rpsb'), verdict('VALID', 'rock', 'user'), 'paper');
+  assert.match(issue, /rock \(user\) vs paper \(bot\) the rules give round_winner "bot", but it was "user"/);
+  assert.deepEqual(rest, []);
+});
+
+test('findDiscrepancies reports an INVALID move with a winner, and a spent bomb', () => {
+  assert.match(findDiscrepancies(createState('rpsb'), verdict('INVALID', null, 'bot'), 'rock')[0], /must be null when the move is INVALID/);
+  const spent = { ...createState('rpsb'), limitedUsed: { bomb: 1 } };
+  assert.match(findDiscrepancies(spent, verdict('VALID', 'bomb', 'user'), 'rock')[0], /bomb has no uses left/);
+});
+
+test('correctVerdict applies the rules and notes the correction', () => {
+  const fixed = correctVerdict(createState('rpsb'), verdict('VALID', 'rock', 'user'), 'paper');
+  assert.equal(fixed.round_winner, 'bot');
+  assert.equal(fixed.response, 'Judged. (Correction: Bot wins the round (rock vs paper).)');
+
+  const invalid = correctVerdict(createState('rpsb'), verdict('INVALID', null, 'bot'), 'rock');
+  assert.equal(invalid.round_winner, null);
+
+  const spent = correctVerdict({ ...createState('rpsb'), limitedUsed: { bomb: 1 } }, verdict('VALID', 'bomb', 'user'), 'rock');
+  assert.equal(spent.intent.status, 'INVALID');
+  assert.equal(spent.round_winner, null);
+});
+
+test('judgeRound re-judges a wrong winner and keeps the fixed verdict', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  replies = [verdict('VALID', 'rock', 'user'), verdict('VALID', 'rock', 'bot')];
+  prompts.length = 0;
+  const result = await judgeRound(createState('rpsb'), 'rock', 'paper', { provider: 'scripted', verify: 2, cache: false });
+  assert.equal(result.round_winner, 'bot');
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /round_winner "bot", but it was "user"/);
+  assert.deepEqual(
+    { agreed: result.verification.agreed, rejudges: result.verification.rejudges, corrected: result.verification.corrected },
+    { agreed: false, rejudges: 1, corrected: false },
+  );
+  assert.equal(result.verification.original.round_winner, 'user');
+});
+
+test('judgeRound corrects the verdict in code when re-judging does not fix it', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  replies = [verdict('INVALID', null, 'bot'), verdict('INVALID', null, 'bot')];
+  const result = await judgeRound(createState('rpsb'), 'banana', 'rock', { provider: 'scripted', verify: 1, cache: false });
+  assert.equal(result.round_winner, null);
+  assert.equal(result.verification.rejudges, 1);
+  assert.equal(result.verification.corrected, true);
+});
+
+test('judgeRound leaves an agreeing verdict alone', async () => {
+  replies = [verdict('VALID', 'paper', 'user')];
+  const result = await judgeRound(createState('rpsb'), 'paper', 'rock', { provider: 'scripted', verify: true, cache: false });
+  assert.equal(result.round_winner, 'user');
+  assert.deepEqual(result.verification, { agreed: true, rejudges: 0, discrepancies: [], corrected: false });
+});